@@ -8,6 +8,15 @@ export { Controller } from './Audio/Controller.js';
 export { Sound } from './Audio/Sound.js';
 export { Visualizer } from './Audio/Visualizer.js';
 export { Output } from './Audio/Output.js';
+export { Bus } from './Audio/Bus.js';
+export { Ducking } from './Audio/Ducking.js';
+export { Voice } from './Audio/Voice.js';
+export { BufferCache } from './Audio/BufferCache.js';
+export { LoadError } from './Audio/LoadError.js';
+export { AudioEvent } from './Audio/AudioEvent.js';
+export { Preferences, MemoryStorage } from './Audio/Preferences.js';
+export { Manifest, ManifestError } from './Audio/Manifest.js';
+export { Remote, RemoteError } from './Audio/Remote.js';
 
 // Export all sound library classes under Library namespace
 export * as Library from './Audio/Library.js';
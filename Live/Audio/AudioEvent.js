@@ -0,0 +1,9 @@
+// Audio Event - an Event carrying a detail payload, dispatched by Controller
+
+// CustomEvent is not available as a global in every runtime (e.g. Node 18), so we provide our own:
+export class AudioEvent extends Event {
+	constructor(type, detail = {}) {
+		super(type);
+		this.detail = detail;
+	}
+}
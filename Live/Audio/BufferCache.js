@@ -0,0 +1,159 @@
+// Buffer Cache - decoded AudioBuffers shared between sounds, keyed by URL and scoped to an AudioContext
+
+// Caches for each AudioContext:
+const caches = new WeakMap();
+
+// Decoded samples are stored as 32-bit floats:
+const BYTES_PER_SAMPLE = 4;
+
+export class BufferCache {
+	#entries = new Map();
+	#pending = new Map();
+	#bytes = 0;
+	#budget = Infinity;
+	
+	// Get the cache for the given AudioContext, creating it if needed
+	static for(audioContext) {
+		let cache = caches.get(audioContext);
+		
+		if (!cache) {
+			cache = new BufferCache();
+			caches.set(audioContext, cache);
+		}
+		
+		return cache;
+	}
+	
+	// The approximate memory used by a decoded buffer
+	static sizeOf(buffer) {
+		return buffer.length * buffer.numberOfChannels * BYTES_PER_SAMPLE;
+	}
+	
+	// Total size of the cached buffers in bytes
+	get bytes() {
+		return this.#bytes;
+	}
+	
+	// Maximum size of the cached buffers in bytes, least recently used buffers are evicted beyond it
+	get budget() {
+		return this.#budget;
+	}
+	
+	set budget(budget) {
+		this.#budget = budget ?? Infinity;
+		this.#trim();
+	}
+	
+	get size() {
+		return this.#entries.size;
+	}
+	
+	has(url) {
+		return this.#entries.has(url);
+	}
+	
+	// Get a cached buffer, marking it as recently used
+	get(url) {
+		const entry = this.#entries.get(url);
+		if (!entry) return null;
+		
+		this.#entries.delete(url);
+		this.#entries.set(url, entry);
+		
+		return entry.buffer;
+	}
+	
+	// Get a cached buffer, or load it once no matter how many callers request it at the same time.
+	// onEvict(buffer) is called if the buffer is later evicted, so callers can drop their reference to it.
+	async load(url, loader, onEvict = null) {
+		if (this.#entries.has(url)) {
+			if (onEvict) this.#entries.get(url).listeners.add(onEvict);
+			return this.get(url);
+		}
+		
+		let pending = this.#pending.get(url);
+		
+		if (!pending) {
+			pending = { promise: null, listeners: new Set() };
+			pending.promise = Promise.resolve().then(loader).finally(() => {
+				if (this.#pending.get(url) === pending) {
+					this.#pending.delete(url);
+				}
+			});
+			
+			this.#pending.set(url, pending);
+		}
+		
+		if (onEvict) pending.listeners.add(onEvict);
+		
+		const buffer = await pending.promise;
+		
+		// Store the buffer unless it was evicted while loading:
+		if (!this.#entries.has(url) && pending.listeners) {
+			this.#store(url, buffer, pending.listeners);
+			pending.listeners = null;
+		}
+		
+		return buffer;
+	}
+	
+	// Add a buffer to the cache directly
+	set(url, buffer) {
+		this.evict(url);
+		this.#store(url, buffer, new Set());
+	}
+	
+	#store(url, buffer, listeners) {
+		const bytes = BufferCache.sizeOf(buffer);
+		
+		this.#entries.set(url, { buffer, bytes, listeners });
+		this.#bytes += bytes;
+		
+		this.#trim(url);
+	}
+	
+	// Remove a buffer from the cache, returns true if it was cached or loading
+	evict(url) {
+		const pending = this.#pending.get(url);
+		
+		if (pending) {
+			// The load still completes for its callers, but isn't cached:
+			this.#pending.delete(url);
+			pending.listeners = null;
+		}
+		
+		const entry = this.#entries.get(url);
+		
+		if (!entry) return Boolean(pending);
+		
+		this.#entries.delete(url);
+		this.#bytes -= entry.bytes;
+		
+		for (const onEvict of entry.listeners) {
+			onEvict(entry.buffer);
+		}
+		
+		return true;
+	}
+	
+	// Evict every buffer
+	clear() {
+		for (const url of Array.from(this.#pending.keys())) {
+			this.evict(url);
+		}
+		
+		for (const url of Array.from(this.#entries.keys())) {
+			this.evict(url);
+		}
+	}
+	
+	// Evict least recently used buffers until the cache fits the budget, keeping the given URL
+	#trim(keep = null) {
+		for (const url of Array.from(this.#entries.keys())) {
+			if (this.#bytes <= this.#budget) break;
+			if (url === keep) continue;
+			
+			this.evict(url);
+		}
+	}
+}
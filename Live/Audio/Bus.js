@@ -0,0 +1,98 @@
+// Mixer Bus - a named gain stage that feeds into the Output input
+
+export class Bus {
+	#name = null;
+	#audioContext = null;
+	#gainNode = null;
+	#destination = null;
+	#volume = 1.0;
+	#muted = false;
+	#duckLevel = 1.0;
+	
+	constructor(audioContext, destination, name = null) {
+		if (!audioContext || typeof audioContext.createGain !== 'function') {
+			throw new Error('Bus requires a valid AudioContext');
+		}
+		
+		this.#name = name;
+		this.#audioContext = audioContext;
+		this.#destination = destination;
+		
+		this.#gainNode = this.#audioContext.createGain();
+		this.#gainNode.gain.value = this.#volume;
+		this.#gainNode.connect(this.#destination);
+	}
+	
+	get name() {
+		return this.#name;
+	}
+	
+	// Synchronous getter for audioContext (same interface as Output)
+	get audioContext() {
+		return this.#audioContext;
+	}
+	
+	get input() {
+		return this.#gainNode;
+	}
+	
+	// Public getter for gain node (for testing)
+	get gainNode() {
+		return this.#gainNode;
+	}
+	
+	// The bus level, independent of the mute state
+	get volume() {
+		return this.#volume;
+	}
+	
+	get muted() {
+		return this.#muted;
+	}
+	
+	// The ducking gain multiplier applied on top of the volume
+	get duckLevel() {
+		return this.#duckLevel;
+	}
+	
+	setVolume(volume) {
+		this.#volume = volume;
+		this.#apply();
+	}
+	
+	setMuted(muted) {
+		this.#muted = muted;
+		this.#apply();
+	}
+	
+	// Ramp the ducking multiplier to the given level over rampTime seconds
+	duck(level, rampTime = 0) {
+		this.#duckLevel = level;
+		
+		if (rampTime > 0 && !this.#muted) {
+			const now = this.#audioContext.currentTime;
+			const gain = this.#gainNode.gain;
+			
+			gain.cancelScheduledValues(now);
+			gain.setValueAtTime(gain.value, now);
+			gain.linearRampToValueAtTime(this.#volume * level, now + rampTime);
+		} else {
+			this.#apply();
+		}
+	}
+	
+	#apply() {
+		this.#gainNode.gain.value = this.#muted ? 0 : this.#volume * this.#duckLevel;
+	}
+	
+	// Clean up resources
+	dispose() {
+		if (this.#gainNode) {
+			this.#gainNode.disconnect();
+			this.#gainNode = null;
+		}
+		
+		this.#audioContext = null;
+		this.#destination = null;
+	}
+}
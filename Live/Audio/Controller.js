@@ -1,11 +1,20 @@
 // Audio Controller - manages sound instances and provides unified API
 import { Output } from './Output.js';
 import { Sound } from './Sound.js';
+import { AudioEvent } from './AudioEvent.js';
+import { Preferences } from './Preferences.js';
+import { Manifest } from './Manifest.js';
+import { BufferCache } from './BufferCache.js';
+import { Ducking } from './Ducking.js';
+import { LoadError } from './LoadError.js';
+
+const contextKey = '_liveAudioContext';
+
+// Controllers currently holding each shared AudioContext:
+const contextHolders = new WeakMap();
 
 // Get or create shared AudioContext (keyed by window)
 async function getSharedAudioContext(window = globalThis) {
-	const contextKey = '_liveAudioContext';
-	
 	let audioContext = window[contextKey];
 	
 	if (!audioContext || audioContext.state === 'closed') {
@@ -13,8 +22,9 @@ async function getSharedAudioContext(window = globalThis) {
 			latencyHint: 'interactive',
 		});
 		
+		// Browsers reject (or never settle) this without a user gesture, in which case the Controller unlocks it later:
 		if (audioContext.state === 'suspended') {
-			await audioContext.resume();
+			audioContext.resume().catch(() => {});
 		}
 		
 		window[contextKey] = audioContext;
@@ -25,21 +35,250 @@ async function getSharedAudioContext(window = globalThis) {
 	return audioContext;
 }
 
-export class Controller {
+// Register a holder of the shared AudioContext
+function retainSharedAudioContext(audioContext, holder) {
+	let holders = contextHolders.get(audioContext);
+	
+	if (!holders) {
+		holders = new Set();
+		contextHolders.set(audioContext, holders);
+	}
+	
+	// A context suspended when its last holder was released is resumed by the next one:
+	if (holders.size === 0 && audioContext.state === 'suspended') {
+		audioContext.resume().catch(() => {});
+	}
+	
+	holders.add(holder);
+}
+
+// Remove a holder of the shared AudioContext, closing or suspending it when the last holder is released
+async function releaseSharedAudioContext(window, audioContext, holder, mode = 'close') {
+	const holders = contextHolders.get(audioContext);
+	if (!holders || !holders.delete(holder)) return;
+	if (holders.size > 0) return;
+	
+	if (mode === 'close') {
+		if (window[contextKey] === audioContext) {
+			window[contextKey] = null;
+		}
+		
+		if (audioContext.state !== 'closed') {
+			await audioContext.close();
+		}
+		
+		console.log('Live Audio Context closed');
+	} else if (mode === 'suspend') {
+		if (audioContext.state === 'running') {
+			await audioContext.suspend();
+		}
+	}
+}
+
+// Buses available on every controller, sounds can also name their own:
+const DEFAULT_BUSES = ['music', 'sfx', 'ui', 'voice'];
+
+// Fade applied to stolen voices to avoid clicks:
+const STEAL_FADE_TIME = 0.02;
+
+// Ramp applied when muting and unmuting:
+const MUTE_RAMP_TIME = 0.05;
+
+// Number of points in the equal-power crossfade curves:
+const CROSSFADE_CURVE_POINTS = 64;
+
+// Ramp a gain from its current value to the target, holding the current value until startTime.
+// Equal-power fades follow a quarter sine, so two overlapping fades keep a constant perceived level.
+function rampGain(param, target, now, startTime, duration, curve = 'equal-power') {
+	// A fade in progress may be a value curve that started before now, which cancelScheduledValues(now) leaves in place, and scheduling inside it throws:
+	if (typeof param.cancelAndHoldAtTime === 'function') {
+		param.cancelAndHoldAtTime(now);
+	} else {
+		param.cancelScheduledValues(0);
+		param.setValueAtTime(param.value, now);
+	}
+	
+	const value = param.value;
+	
+	if (duration <= 0) {
+		param.setValueAtTime(target, startTime);
+	} else if (curve === 'linear' || typeof param.setValueCurveAtTime !== 'function') {
+		if (startTime > now) param.setValueAtTime(value, startTime);
+		param.linearRampToValueAtTime(target, startTime + duration);
+	} else {
+		const values = new Float32Array(CROSSFADE_CURVE_POINTS);
+		
+		for (let i = 0; i < values.length; i++) {
+			const t = i / (values.length - 1) * Math.PI / 2;
+			const shape = target > value ? Math.sin(t) : 1 - Math.cos(t);
+			values[i] = value + (target - value) * shape;
+		}
+		
+		// Land exactly on the target, regardless of rounding:
+		values[values.length - 1] = target;
+		
+		param.setValueCurveAtTime(values, startTime, duration);
+	}
+}
+
+// Ramp applied to sidechain ducking levels as they are sampled:
+const SIDECHAIN_RAMP_TIME = 0.02;
+
+// User gestures that browsers accept for resuming a suspended AudioContext:
+const UNLOCK_EVENTS = ['pointerdown', 'touchend', 'keydown'];
+
+// Page lifecycle events used by the pauseWhenHidden option:
+const VISIBILITY_EVENTS = ['visibilitychange', 'pagehide', 'pageshow'];
+
+export class Controller extends EventTarget {
 	#window = null;
 	#audioContext = null;
 	#output = null;
 	#sounds = {};
+	#soundOptions = {};
+	#soundListeners = {};
+	
+	// Details of the load events already emitted:
+	#reportedLoads = new WeakSet();
+	
+	// Per-sound levels set with setSoundVolume (persisted), and the per-play volume of each voice they scale:
+	#soundVolumes = {};
+	#playVolumes = new WeakMap();
 	#volume = 1.0;
+	#muted = false;
+	#mutedPlayback = 'skip';
+	#buses = {};
+	#voices = new Set();
+	#maxVoices = Infinity;
+	#steal = 'oldest';
+	#coalesce = 0;
+	#triggers = {};
+	
+	// Autoplay unlock state:
+	#locked = false;
+	#lockedPolicy = 'queue';
+	#pending = [];
+	#unlockListener = null;
+	#stateListener = null;
+	#lockedContext = null;
+	
+	// Persisted user preferences (opt-in):
+	#preferences = null;
+	
+	// Page visibility state:
+	#visibility = null;
+	#visibilityListener = null;
+	#hidden = null;
 	
 	// Callbacks:
 	#onOutputCreated = null;
 	#onOutputDisposed = null;
 	
+	// What to do with the shared AudioContext when the last controller holding it is disposed:
+	#contextRelease = 'close';
+	
+	// Memory budget in bytes for decoded samples shared through the AudioContext's BufferCache:
+	#cacheBudget = null;
+	
+	// Sounds fading out from a crossfade, by name:
+	#fades = {};
+	
+	// Ducking rules:
+	#duckings = [];
+	
+	// Default load options for samples (timeout, retries, retryDelay, strict, fetch):
+	#loading = null;
+	
+	// Get the controllers holding the window's shared AudioContext
+	static getAudioContextHolders(window = globalThis) {
+		const audioContext = window[contextKey];
+		if (!audioContext) return [];
+		
+		return Array.from(contextHolders.get(audioContext) || []);
+	}
+	
 	constructor(window = globalThis, options = {}) {
+		super();
+		
 		this.#window = window;
 		this.#onOutputCreated = options.onOutputCreated || null;
 		this.#onOutputDisposed = options.onOutputDisposed || null;
+		this.#maxVoices = options.maxVoices ?? Infinity;
+		this.#steal = options.steal || 'oldest';
+		this.#coalesce = options.coalesce || 0;
+		this.#lockedPolicy = options.lockedPolicy || 'queue';
+		this.#contextRelease = options.contextRelease || 'close';
+		this.#mutedPlayback = options.mutedPlayback || 'skip';
+		this.#cacheBudget = options.cacheBudget ?? null;
+		this.#loading = options.fetch ? { ...options.loading, fetch: options.fetch } : options.loading || null;
+		
+		for (const name of options.buses || DEFAULT_BUSES) {
+			this.#buses[name] = { volume: 1.0, muted: false };
+		}
+		
+		if (options.pauseWhenHidden) {
+			this.#listenForVisibility(options.pauseWhenHidden === true ? {} : options.pauseWhenHidden);
+		}
+		
+		if (options.persist) {
+			this.#restorePreferences(typeof options.persist === 'string' ? { key: options.persist } : options.persist);
+		}
+		
+		for (const rule of options.ducking || []) {
+			this.addDucking(rule);
+		}
+	}
+	
+	// Restore saved preferences: options.key identifies the app, options.storage defaults to window.localStorage
+	#restorePreferences({key, storage = this.#defaultStorage()}) {
+		this.#preferences = new Preferences(key, storage);
+		
+		const state = this.#preferences.load();
+		if (!state) return;
+		
+		if (typeof state.volume === 'number') {
+			this.#volume = state.volume;
+		}
+		
+		if (typeof state.muted === 'boolean') {
+			this.#muted = state.muted;
+		}
+		
+		for (const [name, bus] of Object.entries(state.buses || {})) {
+			const busState = this.#busState(name);
+			if (typeof bus.volume === 'number') busState.volume = bus.volume;
+			if (typeof bus.muted === 'boolean') busState.muted = bus.muted;
+		}
+		
+		// Sounds may be added later, their levels apply once they are:
+		for (const [name, volume] of Object.entries(state.sounds || {})) {
+			if (typeof volume === 'number') this.#soundVolumes[name] = volume;
+		}
+	}
+	
+	// Accessing localStorage can throw, e.g. in sandboxed iframes
+	#defaultStorage() {
+		try {
+			return this.#window.localStorage || null;
+		} catch (error) {
+			return null;
+		}
+	}
+	
+	#savePreferences() {
+		if (!this.#preferences) return;
+		
+		const buses = {};
+		for (const [name, {volume, muted}] of Object.entries(this.#buses)) {
+			buses[name] = { volume, muted };
+		}
+		
+		this.#preferences.save({ volume: this.#volume, muted: this.#muted, buses, sounds: { ...this.#soundVolumes } });
+	}
+	
+	// The persisted preferences, or null if persistence is not enabled
+	get preferences() {
+		return this.#preferences;
 	}
 	
 	// Acquire output with AudioContext ready - returns null if not available.
@@ -51,11 +290,29 @@ export class Controller {
 			const audioContext = await getSharedAudioContext(this.#window);
 			if (!audioContext) return null;
 			
+			this.#audioContext = audioContext;
+			retainSharedAudioContext(audioContext, this);
+			
+			if (this.#cacheBudget !== null) {
+				BufferCache.for(audioContext).budget = this.#cacheBudget;
+			}
+			
 			// Then create Output instance with AudioContext:
 			this.#output = output = new Output(audioContext);
 			
-			// Apply the controller's volume to the new output
+			// Apply the controller's volume and bus levels to the new output
 			output.setVolume(this.#volume);
+			output.setMuted(this.#muted);
+			
+			for (const [name, state] of Object.entries(this.#buses)) {
+				const bus = output.getBus(name);
+				bus.setVolume(state.volume);
+				bus.setMuted(state.muted);
+			}
+			
+			for (const ducking of this.#duckings) {
+				this.#attachDucking(ducking);
+			}
 			
 			// Call the output created callback if provided
 			if (this.#onOutputCreated) {
@@ -63,30 +320,620 @@ export class Controller {
 			}
 		}
 		
+		// A context we suspended because the page is hidden is not waiting for a user gesture:
+		if (output.audioContext.state === 'suspended' && !this.#hidden?.suspended) {
+			this.#lock(output.audioContext);
+		} else if (this.#locked) {
+			// Resumed elsewhere, e.g. by another controller sharing the context:
+			this.#unlock();
+		}
+		
 		return output;
 	}
 	
-	// Add a sound to this controller instance
-	addSound(name, value) {
+	// The shared AudioContext held by this controller, if any
+	get audioContext() {
+		return this.#audioContext;
+	}
+	
+	// The decoded sample cache for the held AudioContext, if any
+	get bufferCache() {
+		return this.#audioContext ? BufferCache.for(this.#audioContext) : null;
+	}
+	
+	// Dispatch an AudioEvent on this controller
+	#emit(type, detail = {}) {
+		this.dispatchEvent(new AudioEvent(type, detail));
+	}
+	
+	// True while the AudioContext is suspended waiting for a user gesture
+	get locked() {
+		return this.#locked;
+	}
+	
+	// Attach one-shot gesture listeners that resume the AudioContext
+	#lock(audioContext) {
+		if (this.#locked) return;
+		this.#locked = true;
+		
+		const window = this.#window;
+		
+		this.#unlockListener = () => {
+			// resume() must be called synchronously from within the gesture handler:
+			audioContext.resume().then(() => {
+				if (audioContext.state === 'running') this.#unlock();
+			}, () => {});
+		};
+		
+		if (typeof window.addEventListener === 'function') {
+			for (const type of UNLOCK_EVENTS) {
+				window.addEventListener(type, this.#unlockListener, { capture: true });
+			}
+		}
+		
+		// A resume() already in flight (e.g. the context was created inside a gesture) may still succeed without another one:
+		if (typeof audioContext.addEventListener === 'function') {
+			this.#lockedContext = audioContext;
+			this.#stateListener = () => {
+				if (audioContext.state === 'running') this.#unlock();
+			};
+			
+			audioContext.addEventListener('statechange', this.#stateListener);
+		}
+		
+		this.#emit('locked', { audioContext });
+	}
+	
+	#removeUnlockListeners() {
+		const window = this.#window;
+		
+		if (this.#unlockListener && typeof window.removeEventListener === 'function') {
+			for (const type of UNLOCK_EVENTS) {
+				window.removeEventListener(type, this.#unlockListener, { capture: true });
+			}
+		}
+		
+		this.#unlockListener = null;
+		
+		if (this.#stateListener) {
+			this.#lockedContext.removeEventListener('statechange', this.#stateListener);
+			this.#stateListener = null;
+			this.#lockedContext = null;
+		}
+	}
+	
+	#unlock() {
+		if (!this.#locked) return;
+		this.#locked = false;
+		
+		this.#removeUnlockListeners();
+		this.#emit('unlocked', { audioContext: this.#output?.audioContext });
+		
+		// Play any sounds that were requested while locked:
+		const pending = this.#pending;
+		this.#pending = [];
+		
+		for (const {name, options, resolve} of pending) {
+			resolve(this.playSound(name, options));
+		}
+	}
+	
+	// Add a sound to this controller instance:
+	// - options.bus routes it through a named mixer bus.
+	// - options.maxVoices limits how many voices of this sound can play at once.
+	// - options.steal picks the voice stealing policy when the limit is reached ('oldest', 'quietest' or 'reject').
+	// - options.cooldown is the minimum number of seconds between triggers, calls that arrive too soon are dropped.
+	// - options.coalesce merges calls within this many milliseconds into the previous voice (overrides the controller option).
+	// - options.volume is a per-sound level, multiplied with the per-play volume (a level set with setSoundVolume takes precedence).
+	addSound(name, value, options = {}) {
+		if (this.#sounds[name]) {
+			this.#unsubscribe(name);
+		}
+		
 		this.#sounds[name] = value;
+		this.#soundOptions[name] = options;
+		this.#subscribe(name, value);
+		
+		if (this.#loading) {
+			value.setLoadDefaults?.(this.#loading);
+		}
+		
+		// Sounds that create media elements or probe codecs do so in the controller's window:
+		value.setWindow?.(this.#window);
+		
+		if (options.bus) {
+			this.#busState(options.bus);
+		}
+		
 		return value;
 	}
 	
-	// Play a sound by name
-	async playSound(name) {
-		// Return early if volume is zero (muted)
-		if (this.#volume <= 0) return;
+	// Forward load and error events from a sound as controller events
+	#subscribe(name, sound) {
+		if (typeof sound?.addEventListener !== 'function') return;
 		
+		// The segments of an AudioSprite all forward the sprite's events, so emit each one once:
+		const once = (listener) => (event) => {
+			if (this.#reportedLoads.has(event.detail)) return;
+			this.#reportedLoads.add(event.detail);
+			
+			listener(event);
+		};
+		
+		const listeners = {
+			loaded: once((event) => this.#emit('sample:loaded', { name, sound, ...event.detail })),
+			error: once((event) => this.#emit(event.detail.error instanceof LoadError ? 'load:error' : 'sound:error', { name, sound, ...event.detail })),
+		};
+		
+		for (const [type, listener] of Object.entries(listeners)) {
+			sound.addEventListener(type, listener);
+		}
+		
+		this.#soundListeners[name] = listeners;
+	}
+	
+	#unsubscribe(name) {
+		const sound = this.#sounds[name];
+		const listeners = this.#soundListeners[name];
+		if (!listeners) return;
+		
+		for (const [type, listener] of Object.entries(listeners)) {
+			sound.removeEventListener(type, listener);
+		}
+		
+		delete this.#soundListeners[name];
+	}
+	
+	// True while audio is paused because the page is hidden
+	get hidden() {
+		return this.#hidden !== null;
+	}
+	
+	// Listen for page visibility changes on the window:
+	// - options.fadeTime is how long to fade out before suspending, and to fade back in (seconds).
+	// - options.exemptBuses and options.exemptSounds keep playing while the page is hidden.
+	#listenForVisibility({fadeTime = 0.25, exemptBuses = [], exemptSounds = []}) {
+		const window = this.#window;
+		if (typeof window.addEventListener !== 'function') return;
+		
+		this.#visibility = { fadeTime, exemptBuses, exemptSounds };
+		
+		this.#visibilityListener = (event) => {
+			const hidden = event.type === 'pagehide' || (event.type === 'visibilitychange' && window.document?.visibilityState === 'hidden');
+			
+			if (hidden) {
+				this.#pause();
+			} else if (event.type === 'pageshow' || event.type === 'visibilitychange') {
+				this.#resume();
+			}
+		};
+		
+		for (const type of VISIBILITY_EVENTS) {
+			window.addEventListener(type, this.#visibilityListener);
+		}
+	}
+	
+	#isExempt(voice) {
+		const {exemptBuses, exemptSounds} = this.#visibility;
+		const {bus} = this.#soundOptions[voice.name] || {};
+		
+		return exemptSounds.includes(voice.name) || (bus && exemptBuses.includes(bus));
+	}
+	
+	// Fade out and suspend the AudioContext, or only the non-exempt voices if exempt ones are playing
+	#pause() {
+		const output = this.#output;
+		if (this.#hidden || !output) return;
+		
+		const {fadeTime} = this.#visibility;
+		const voices = Array.from(this.#voices).filter(voice => voice.playing);
+		
+		if (voices.some(voice => this.#isExempt(voice))) {
+			// Keep the context running, silence everything else:
+			const faded = new Map();
+			
+			for (const voice of voices) {
+				if (this.#isExempt(voice)) continue;
+				
+				faded.set(voice, voice.volume);
+				voice.setVolume(0, fadeTime);
+			}
+			
+			this.#hidden = { suspended: false, faded };
+		} else {
+			const audioContext = output.audioContext;
+			const hidden = this.#hidden = { suspended: true, faded: null };
+			
+			output.fadeTo(0, fadeTime);
+			
+			// Suspending preserves playback (and loop) positions:
+			hidden.timeout = setTimeout(() => {
+				if (this.#hidden === hidden) audioContext.suspend();
+			}, fadeTime * 1000);
+		}
+	}
+	
+	// Resume the AudioContext (or the faded voices) and fade back in
+	async #resume() {
+		const hidden = this.#hidden;
+		if (!hidden) return;
+		
+		this.#hidden = null;
+		
+		const output = this.#output;
+		const {fadeTime} = this.#visibility;
+		
+		if (hidden.suspended) {
+			clearTimeout(hidden.timeout);
+			if (!output) return;
+			
+			if (output.audioContext.state === 'suspended') {
+				await output.audioContext.resume().catch(() => {});
+			}
+			
+			output.fadeTo(this.#muted ? 0 : this.#volume, fadeTime);
+		} else {
+			for (const [voice, volume] of hidden.faded) {
+				voice.setVolume(volume, fadeTime);
+			}
+		}
+	}
+	
+	// Play a sound by name with optional per-play options (volume, pitch, pan, delay), returns a Voice for controlling playback (or undefined if nothing played)
+	async playSound(name, options = {}) {
 		const sound = this.#sounds[name];
 		if (sound) {
+			const {bus, maxVoices, steal, cooldown = 0, coalesce = this.#coalesce} = this.#soundOptions[name] || {};
+			const volume = this.#soundVolumes[name] ?? this.#soundOptions[name]?.volume;
+			
+			// Acquire the output even when muted, so the Visualizer has something to attach to:
 			const output = await this.acquireOutput();
 			if (!output) return;
-			sound.play(output);
+			
+			// Return early if volume is zero
+			if (this.#volume <= 0) return;
+			
+			// When muted (or routed through a muted bus), either skip playback or play silently to keep timing intact:
+			const muted = this.#muted || (bus && this.#busState(bus).muted);
+			if (muted && this.#mutedPlayback === 'skip') return;
+			
+			// While waiting for a user gesture, either queue the request until unlocked or drop it:
+			if (this.#locked) {
+				if (this.#lockedPolicy !== 'queue') return;
+				
+				return new Promise(resolve => this.#pending.push({ name, options, resolve }));
+			}
+			
+			// Strict sounds are loaded first, so that a LoadError rejects this call rather than only failing the voice:
+			if (sound.strict) {
+				await sound.load(output.audioContext);
+			}
+			
+			// Rate limit retriggers, measured on the audio clock:
+			const now = output.audioContext.currentTime;
+			const trigger = this.#triggers[name];
+			
+			if (trigger) {
+				const elapsed = now - trigger.time;
+				
+				if (coalesce > 0 && elapsed * 1000 < coalesce && trigger.voice?.playing) {
+					return trigger.voice;
+				}
+				
+				if (cooldown > 0 && elapsed < cooldown) return;
+			}
+			
+			// Single-instance sounds ignore retriggers while playing, so there is no need to make room for them:
+			if (!sound.isPlaying || sound.polyphonic) {
+				// Enforce the per-sound limit and the global voice budget, checking both before stealing for either:
+				const victim = this.#chooseVictim(this.#activeVoices(sound), maxVoices, steal || this.#steal);
+				if (victim === false) return;
+				
+				const others = this.#activeVoices().filter(voice => voice !== victim);
+				const budgetVictim = this.#chooseVictim(others, this.#maxVoices, this.#steal);
+				if (budgetVictim === false) return;
+				
+				// Stolen voices get a short fade instead of a hard stop:
+				victim?.fadeOut(STEAL_FADE_TIME);
+				budgetVictim?.fadeOut(STEAL_FADE_TIME);
+			}
+			
+			let voice;
+			
+			try {
+				const playOptions = volume === undefined ? options : { ...options, volume: volume * (options.volume ?? 1.0) };
+				voice = sound.play(bus ? output.getBus(bus) : output, playOptions);
+			} catch (error) {
+				this.#emit('sound:error', { name, sound, error });
+				throw error;
+			}
+			
+			if (voice) {
+				voice.name = name;
+				this.#voices.add(voice);
+				this.#playVolumes.set(voice, options.volume ?? 1.0);
+				this.#emit('sound:start', { name, sound, voice });
+				this.#duckFor(name, bus, voice);
+				
+				voice.ended.then(() => {
+					this.#voices.delete(voice);
+					
+					if (voice.error) {
+						this.#emit('sound:error', { name, sound, voice, error: voice.error });
+					} else {
+						this.#emit(voice.stopped ? 'sound:stop' : 'sound:end', { name, sound, voice });
+					}
+				});
+				
+				// Voices started while the page is hidden stay silent unless exempt:
+				const faded = this.#hidden?.faded;
+				if (faded && !this.#isExempt(voice)) {
+					faded.set(voice, voice.volume);
+					voice.setVolume(0);
+				}
+			}
+			
+			this.#triggers[name] = { time: now, voice };
+			
+			return voice;
 		} else {
 			console.warn(`Sound '${name}' not found`);
 		}
 	}
 	
+	// Voices that are playing and not already being stopped, oldest first
+	#activeVoices(sound = null) {
+		return Array.from(this.#voices).filter(voice => !voice.stopped && (!sound || voice.sound === sound));
+	}
+	
+	// The voice to steal to make room for a new one, null if there is room already, or false if the new voice should be rejected
+	#chooseVictim(voices, maxVoices = Infinity, steal = 'oldest') {
+		if (voices.length < maxVoices) return null;
+		if (steal === 'reject' || voices.length === 0) return false;
+		
+		if (steal === 'quietest') {
+			return voices.reduce((quietest, voice) => voice.volume < quietest.volume ? voice : quietest);
+		}
+		
+		return voices[0];
+	}
+	
+	// Get the currently playing voices, optionally for a single sound
+	getVoices(name = null) {
+		const sound = name ? this.#sounds[name] : null;
+		if (name && !sound) return [];
+		
+		return Array.from(this.#voices).filter(voice => !sound || voice.sound === sound);
+	}
+	
+	// Register every sound described by a manifest (a JSON string or object), throws a ManifestError if it is invalid
+	loadManifest(manifest) {
+		return Manifest.parse(manifest).register(this);
+	}
+	
+	// Fetch and decode sample-based sounds ahead of playback (all of them by default), at most `concurrency` at a time.
+	// Emits preload:progress as each sound settles, and resolves to a { name, status, value | reason } result per sound.
+	async preload(names = this.listSounds(), {concurrency = 4} = {}) {
+		const output = await this.acquireOutput();
+		const results = [];
+		
+		if (!output) return results;
+		
+		const audioContext = output.audioContext;
+		const queue = [];
+		
+		// Results are reported in the order the names were given:
+		names.forEach((name, index) => {
+			const sound = this.#sounds[name];
+			
+			if (!sound) {
+				results[index] = { name, status: 'rejected', reason: new Error(`Sound '${name}' not found`) };
+			} else if (typeof sound.load === 'function') {
+				queue.push(index);
+			}
+		});
+		
+		const progress = { loaded: 0, failed: 0, total: queue.length, bytes: 0 };
+		
+		// Segments of one AudioSprite share its download, so its bytes are counted once:
+		const counted = new Set();
+		
+		const next = async () => {
+			while (queue.length > 0) {
+				const index = queue.shift();
+				const name = names[index];
+				const sound = this.#sounds[name];
+				
+				try {
+					const audioBuffer = await sound.load(audioContext);
+					results[index] = { name, status: 'fulfilled', value: audioBuffer };
+					progress.loaded += 1;
+					
+					const download = sound.sprite ?? sound;
+					if (!counted.has(download)) {
+						counted.add(download);
+						progress.bytes += sound.bytes || 0;
+					}
+					
+					this.#emit('preload:progress', { name, sound, ...progress });
+				} catch (error) {
+					results[index] = { name, status: 'rejected', reason: error };
+					progress.loaded += 1;
+					progress.failed += 1;
+					this.#emit('preload:progress', { name, sound, error, ...progress });
+				}
+			}
+		};
+		
+		const workers = [];
+		for (let i = 0; i < Math.min(Math.max(1, concurrency), queue.length); i++) {
+			workers.push(next());
+		}
+		
+		await Promise.all(workers);
+		this.#emit('preload:complete', { ...progress });
+		
+		// Sounds that don't need loading (e.g. synthesized) are left out:
+		return results.filter(Boolean);
+	}
+	
+	// Add a ducking rule (or Ducking instance) that dips a target bus while trigger sounds or buses play
+	addDucking(rule) {
+		const ducking = rule instanceof Ducking ? rule : new Ducking(rule);
+		this.#duckings.push(ducking);
+		
+		if (this.#output) {
+			this.#attachDucking(ducking);
+		}
+		
+		return ducking;
+	}
+	
+	// Remove a ducking rule, releasing its target bus
+	removeDucking(ducking) {
+		const index = this.#duckings.indexOf(ducking);
+		if (index === -1) return false;
+		
+		this.#duckings.splice(index, 1);
+		ducking.detach();
+		ducking.voices.clear();
+		this.#applyDucking(ducking.target, ducking.release);
+		
+		return true;
+	}
+	
+	get duckings() {
+		return this.#duckings.slice();
+	}
+	
+	#attachDucking(ducking) {
+		ducking.attach(this.#output, () => this.#applyDucking(ducking.target, SIDECHAIN_RAMP_TIME));
+	}
+	
+	// Duck the target buses of every rule triggered by this voice, until it ends
+	#duckFor(name, bus, voice) {
+		for (const ducking of this.#duckings) {
+			if (!ducking.matches(name, bus)) continue;
+			
+			ducking.voices.add(voice);
+			this.#applyDucking(ducking.target, ducking.attack);
+			
+			voice.ended.then(() => {
+				if (ducking.voices.delete(voice) && ducking.voices.size === 0) {
+					this.#applyDucking(ducking.target, ducking.release);
+				}
+			});
+		}
+	}
+	
+	// Apply the deepest dip of all rules targeting the bus
+	#applyDucking(target, rampTime) {
+		if (!this.#output) return;
+		
+		const level = this.#duckings
+			.filter(ducking => ducking.target === target)
+			.reduce((level, ducking) => Math.min(level, ducking.level), 1.0);
+		
+		const bus = this.#output.getBus(target);
+		if (bus.duckLevel !== level) {
+			bus.duck(level, rampTime);
+		}
+	}
+	
+	// Crossfade from one playing sound to another (e.g. music tracks) by ramping their gains, resolves to the new voice.
+	// Options: duration (seconds), curve ('equal-power' or 'linear') and sync ('bar' with bpm/beatsPerBar, or 'loop') to start at the next boundary of the current track.
+	async crossfade(from, to, options = {}) {
+		const {duration = 2.0, curve = 'equal-power'} = options;
+		const fromSound = this.#sounds[from];
+		const toSound = this.#sounds[to];
+		
+		if (!fromSound || !toSound) {
+			console.warn(`Sound '${fromSound ? to : from}' not found`);
+			return;
+		}
+		
+		const output = await this.acquireOutput();
+		if (!output) return;
+		
+		const audioContext = output.audioContext;
+		const delay = this.#crossfadeDelay(fromSound, options);
+		
+		// Retargeting: a sound that was fading out is now fading back in, so it must not be stopped:
+		this.#cancelFade(to);
+		
+		const previous = toSound.gainNode;
+		
+		// A single-instance sound that is still playing (e.g. fading out from an earlier crossfade) keeps its voice:
+		const playing = toSound.voice?.playing ? toSound.voice : null;
+		const voice = playing ?? await this.playSound(to, { delay });
+		
+		const now = audioContext.currentTime;
+		const startTime = now + delay;
+		
+		const toGain = toSound.gainNode;
+		if (toGain) {
+			// A new playback starts silent, one that is already playing fades from its current level:
+			if (toGain !== previous) toGain.gain.value = 0;
+			rampGain(toGain.gain, toSound.volume ?? 1.0, now, startTime, duration, curve);
+		}
+		
+		const fromGain = fromSound.gainNode;
+		if (fromGain && fromSound !== toSound) {
+			this.#cancelFade(from);
+			rampGain(fromGain.gain, 0, now, startTime, duration, curve);
+			
+			const fade = this.#fades[from] = {
+				timeout: setTimeout(() => {
+					if (this.#fades[from] !== fade) return;
+					
+					delete this.#fades[from];
+					fromSound.stop();
+				}, (delay + duration) * 1000)
+			};
+		}
+		
+		return voice;
+	}
+	
+	// Seconds until the next bar or loop boundary of the sound, if requested and it tracks its position
+	#crossfadeDelay(sound, {sync, bpm, beatsPerBar = 4}) {
+		if (!sync) return 0;
+		
+		if (typeof sound.currentTime !== 'number' || !sound.source) {
+			return 0;
+		}
+		
+		const position = sound.currentTime;
+		const rate = sound.anchor?.rate || 1;
+		
+		if (sync === 'bar') {
+			if (!(bpm > 0)) {
+				console.warn('Crossfade sync to bar requires options.bpm');
+				return 0;
+			}
+			
+			const bar = 60 / bpm * beatsPerBar;
+			return (bar - position % bar) % bar / rate;
+		}
+		
+		if (sync === 'loop') {
+			const [, loopEnd] = sound.loopRegion;
+			return Math.max(0, loopEnd - position) / rate;
+		}
+		
+		console.warn(`Unknown crossfade sync '${sync}'`);
+		return 0;
+	}
+	
+	#cancelFade(name) {
+		const fade = this.#fades[name];
+		
+		if (fade) {
+			clearTimeout(fade.timeout);
+			delete this.#fades[name];
+		}
+	}
+	
 	// Stop a sound by name
 	stopSound(name) {
 		const sound = this.#sounds[name];
@@ -117,7 +964,10 @@ export class Controller {
 	// Remove a sound
 	removeSound(name) {
 		if (this.#sounds[name]) {
+			this.#unsubscribe(name);
 			delete this.#sounds[name];
+			delete this.#soundOptions[name];
+			delete this.#triggers[name];
 			return true;
 		}
 		return false;
@@ -127,6 +977,9 @@ export class Controller {
 	async setVolume(volume) {
 		this.#volume = volume;
 		
+		this.#emit('volume:change', { volume, muted: this.#muted });
+		this.#savePreferences();
+		
 		// Apply to output if it exists, or acquire it
 		const output = await this.acquireOutput();
 		if (output) {
@@ -139,6 +992,116 @@ export class Controller {
 		return this.#volume;
 	}
 	
+	// Check whether the master output is muted
+	get muted() {
+		return this.#muted;
+	}
+	
+	// Mute or unmute without losing the current volume, ramping the gain to avoid clicks
+	async setMuted(muted = true) {
+		this.#muted = muted;
+		
+		this.#emit('volume:change', { volume: this.#volume, muted });
+		this.#savePreferences();
+		
+		const output = await this.acquireOutput();
+		if (output) {
+			output.setMuted(muted, MUTE_RAMP_TIME);
+		}
+	}
+	
+	async mute() {
+		await this.setMuted(true);
+	}
+	
+	async unmute() {
+		await this.setMuted(false);
+	}
+	
+	// Toggle the mute state, returns the new state
+	async toggleMute() {
+		await this.setMuted(!this.#muted);
+		
+		return this.#muted;
+	}
+	
+	// Set the level of a named sound (overriding the addSound volume option), applied to its playing voices and persisted
+	setSoundVolume(name, volume) {
+		this.#soundVolumes[name] = volume;
+		this.#emit('volume:change', { sound: name, volume });
+		this.#savePreferences();
+		
+		const faded = this.#hidden?.faded;
+		
+		for (const voice of this.#voices) {
+			if (voice.name !== name || !this.#playVolumes.has(voice)) continue;
+			
+			const level = this.#playVolumes.get(voice) * volume;
+			
+			// Voices silenced while the page is hidden are restored to the new level:
+			if (faded?.has(voice)) {
+				faded.set(voice, level);
+			} else {
+				voice.setVolume(level);
+			}
+		}
+	}
+	
+	// Get the level of a named sound
+	getSoundVolume(name) {
+		return this.#soundVolumes[name] ?? this.#soundOptions[name]?.volume ?? 1.0;
+	}
+	
+	// Get (or create) the stored state for a named bus
+	#busState(name) {
+		let state = this.#buses[name];
+		
+		if (!state) {
+			state = this.#buses[name] = { volume: 1.0, muted: false };
+		}
+		
+		return state;
+	}
+	
+	// List all bus names
+	listBuses() {
+		return Object.keys(this.#buses);
+	}
+	
+	// Set the volume of a named bus
+	async setBusVolume(name, volume) {
+		this.#busState(name).volume = volume;
+		this.#emit('volume:change', { bus: name, volume });
+		this.#savePreferences();
+		
+		const output = await this.acquireOutput();
+		if (output) {
+			output.getBus(name).setVolume(volume);
+		}
+	}
+	
+	// Get the volume of a named bus
+	getBusVolume(name) {
+		return this.#busState(name).volume;
+	}
+	
+	// Mute or unmute a named bus without changing its volume
+	async setBusMuted(name, muted = true) {
+		this.#busState(name).muted = muted;
+		this.#emit('volume:change', { bus: name, volume: this.#busState(name).volume, muted });
+		this.#savePreferences();
+		
+		const output = await this.acquireOutput();
+		if (output) {
+			output.getBus(name).setMuted(muted);
+		}
+	}
+	
+	// Check whether a named bus is muted
+	isBusMuted(name) {
+		return this.#busState(name).muted;
+	}
+	
 	// Get sounds object (for testing)
 	get sounds() {
 		return this.#sounds;
@@ -163,6 +1126,41 @@ export class Controller {
 			this.#output = null;
 		}
 		
+		if (this.#audioContext) {
+			releaseSharedAudioContext(this.#window, this.#audioContext, this, this.#contextRelease).catch(error => {
+				console.warn('Failed to release AudioContext:', error.message);
+			});
+			
+			this.#audioContext = null;
+		}
+		
+		this.#removeUnlockListeners();
+		this.#locked = false;
+		
+		if (this.#visibilityListener) {
+			for (const type of VISIBILITY_EVENTS) {
+				this.#window.removeEventListener(type, this.#visibilityListener);
+			}
+			
+			this.#visibilityListener = null;
+		}
+		
+		if (this.#hidden) {
+			clearTimeout(this.#hidden.timeout);
+			this.#hidden = null;
+		}
+		
+		Object.keys(this.#fades).forEach(name => this.#cancelFade(name));
+		this.#duckings.forEach(ducking => ducking.detach());
+		
+		// Resolve queued requests so callers are not left waiting:
+		this.#pending.forEach(({resolve}) => resolve());
+		this.#pending = [];
+		
+		Object.keys(this.#soundListeners).forEach(name => this.#unsubscribe(name));
+		
 		this.#sounds = {};
+		this.#soundOptions = {};
+		this.#triggers = {};
 	}
 }
@@ -0,0 +1,122 @@
+// Ducking - a rule that dips a target bus while trigger sounds or buses are playing
+
+// How often the sidechain compressor's gain reduction is sampled (milliseconds):
+const SIDECHAIN_INTERVAL = 1000 / 60;
+
+export class Ducking {
+	#compressor = null;
+	#sink = null;
+	#sources = [];
+	#timer = null;
+	#level = 1.0;
+	
+	// Options:
+	// - sounds / buses: the sound names and bus names that trigger ducking
+	// - target: the bus to duck (e.g. 'music')
+	// - amount: how far to dip, from 0 (no change) to 1 (silence)
+	// - attack / release: seconds to ramp down and back up
+	// - sidechain: duck by the gain reduction of a DynamicsCompressor fed by the trigger buses, optionally { threshold, knee, ratio }
+	constructor({sounds = [], buses = [], target, amount = 0.5, attack = 0.05, release = 0.5, sidechain = false} = {}) {
+		if (typeof target !== 'string' || target.length === 0) {
+			throw new Error('Ducking requires a target bus');
+		}
+		
+		if (sounds.length === 0 && buses.length === 0) {
+			throw new Error('Ducking requires trigger sounds or buses');
+		}
+		
+		if (!(amount >= 0 && amount <= 1)) {
+			throw new Error(`Ducking amount must be between 0 and 1, got ${amount}`);
+		}
+		
+		if (sidechain && buses.length === 0) {
+			throw new Error('Sidechain ducking requires trigger buses');
+		}
+		
+		this.sounds = sounds;
+		this.buses = buses;
+		this.target = target;
+		this.amount = amount;
+		this.attack = attack;
+		this.release = release;
+		this.sidechain = sidechain ? { threshold: -40, knee: 10, ratio: 12, ...(sidechain === true ? {} : sidechain) } : null;
+		
+		// Trigger voices that are currently playing:
+		this.voices = new Set();
+	}
+	
+	// The gain multiplier this rule currently applies to the target bus
+	get level() {
+		if (this.sidechain) return this.#level;
+		
+		return this.voices.size > 0 ? 1 - this.amount : 1.0;
+	}
+	
+	// Whether a voice of the named sound, playing through the given bus, triggers this rule
+	matches(name, bus) {
+		// Sidechain rules follow the trigger bus signal rather than individual voices:
+		if (this.sidechain) return false;
+		
+		return this.sounds.includes(name) || (bus !== undefined && this.buses.includes(bus));
+	}
+	
+	// Feed the trigger buses of the output into a compressor, calling onChange whenever its gain reduction changes the level
+	attach(output, onChange) {
+		if (!this.sidechain || this.#compressor) return;
+		
+		const audioContext = output.audioContext;
+		if (typeof audioContext.createDynamicsCompressor !== 'function') {
+			console.warn('Sidechain ducking is not supported, DynamicsCompressorNode is unavailable');
+			return;
+		}
+		
+		const {threshold, knee, ratio} = this.sidechain;
+		
+		this.#compressor = audioContext.createDynamicsCompressor();
+		this.#compressor.threshold.value = threshold;
+		this.#compressor.knee.value = knee;
+		this.#compressor.ratio.value = ratio;
+		this.#compressor.attack.value = this.attack;
+		this.#compressor.release.value = this.release;
+		
+		// The compressor is only used for detection, so its output is silenced:
+		this.#sink = audioContext.createGain();
+		this.#sink.gain.value = 0;
+		this.#compressor.connect(this.#sink);
+		this.#sink.connect(audioContext.destination);
+		
+		this.#sources = this.buses.map(name => output.getBus(name).input);
+		this.#sources.forEach(source => source.connect(this.#compressor));
+		
+		this.#timer = setInterval(() => {
+			// Older implementations expose reduction as an AudioParam:
+			const reduction = this.#compressor.reduction?.value ?? this.#compressor.reduction;
+			const level = Math.max(1 - this.amount, Math.pow(10, reduction / 20));
+			
+			if (Math.abs(level - this.#level) > 0.001) {
+				this.#level = level;
+				onChange(this);
+			}
+		}, SIDECHAIN_INTERVAL);
+	}
+	
+	// Disconnect the sidechain compressor
+	detach() {
+		if (this.#timer) {
+			clearInterval(this.#timer);
+			this.#timer = null;
+		}
+		
+		if (this.#compressor) {
+			this.#sources.forEach(source => source.disconnect(this.#compressor));
+			this.#sources = [];
+			
+			this.#compressor.disconnect();
+			this.#sink.disconnect();
+			this.#compressor = null;
+			this.#sink = null;
+		}
+		
+		this.#level = 1.0;
+	}
+}
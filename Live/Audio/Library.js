@@ -1,38 +1,65 @@
 // Live Audio Sound Library
 // Collection of pre-built synthesized sound effects
 
-import { Sound } from '../Audio.js';
+import { Sound } from './Sound.js';
+import { AudioEvent } from './AudioEvent.js';
+import { BufferCache } from './BufferCache.js';
+import { LoadError } from './LoadError.js';
+
+// Generated noise buffers, created once per AudioContext and shared by every voice:
+const noiseBuffers = new WeakMap();
+
+function cachedNoiseBuffer(audioContext, key, generate) {
+	let buffers = noiseBuffers.get(audioContext);
+	
+	if (!buffers) {
+		buffers = new Map();
+		noiseBuffers.set(audioContext, buffers);
+	}
+	
+	let buffer = buffers.get(key);
+	
+	if (!buffer) {
+		buffer = generate();
+		buffers.set(key, buffer);
+	}
+	
+	return buffer;
+}
 
 // Individual Sound Classes
 export class JumpSound extends Sound {
-	start(output) {
-		const audioContext = output.audioContext;
-		const inputNode = output.input;
+	start(voice) {
+		const audioContext = voice.audioContext;
+		const inputNode = voice.input;
+		const now = voice.startTime;
 		
 		const oscillator = audioContext.createOscillator();
 		const gainNode = audioContext.createGain();
 		const antiClipGain = audioContext.createGain();
 		
 		oscillator.type = 'square';
-		oscillator.frequency.setValueAtTime(200, audioContext.currentTime);
-		oscillator.frequency.exponentialRampToValueAtTime(600, audioContext.currentTime + 0.3);
+		oscillator.frequency.setValueAtTime(200, now);
+		oscillator.frequency.exponentialRampToValueAtTime(600, now + 0.3);
 		
 		antiClipGain.gain.value = 0.6;
-		this.createEnvelope(audioContext, gainNode, 0.01, 0.08, 0.3, 0.2, 0.3);
+		this.createEnvelope(audioContext, gainNode, 0.01, 0.08, 0.3, 0.2, 0.3, now);
 		
 		oscillator.connect(antiClipGain);
 		antiClipGain.connect(gainNode);
 		gainNode.connect(inputNode);
 		
-		oscillator.start();
-		oscillator.stop(audioContext.currentTime + 0.3);
+		voice.addSource(oscillator);
+		oscillator.start(now);
+		oscillator.stop(now + 0.3);
 	}
 }
 
 export class CoinSound extends Sound {
-	start(output) {
-		const audioContext = output.audioContext;
-		const inputNode = output.input;
+	start(voice) {
+		const audioContext = voice.audioContext;
+		const inputNode = voice.input;
+		const now = voice.startTime;
 		
 		const osc1 = audioContext.createOscillator();
 		const osc2 = audioContext.createOscillator();
@@ -50,7 +77,7 @@ export class CoinSound extends Sound {
 		gain2.gain.value = 0.35;
 		antiClipGain.gain.value = 1.0;
 		
-		this.createEnvelope(audioContext, gainNode, 0.01, 0.05, 0.4, 0.15, 0.15);
+		this.createEnvelope(audioContext, gainNode, 0.01, 0.05, 0.4, 0.15, 0.15, now);
 		
 		osc1.connect(gain1);
 		osc2.connect(gain2);
@@ -59,17 +86,19 @@ export class CoinSound extends Sound {
 		antiClipGain.connect(gainNode);
 		gainNode.connect(inputNode);
 		
-		osc1.start();
-		osc2.start();
-		osc1.stop(audioContext.currentTime + 0.15);
-		osc2.stop(audioContext.currentTime + 0.15);
+		voice.addSource(osc1, osc2);
+		osc1.start(now);
+		osc2.start(now);
+		osc1.stop(now + 0.15);
+		osc2.stop(now + 0.15);
 	}
 }
 
 export class PowerUpSound extends Sound {
-	start(output) {
-		const audioContext = output.audioContext;
-		const inputNode = output.input;
+	start(voice) {
+		const audioContext = voice.audioContext;
+		const inputNode = voice.input;
+		const now = voice.startTime;
 
 		const notes = [261.63, 329.63, 392.00, 523.25];
 		const noteDuration = 0.08;
@@ -85,7 +114,7 @@ export class PowerUpSound extends Sound {
 			antiClipGain.gain.value = 0.6;
 			
 			const startTime = index * noteDuration;
-			const noteStartTime = audioContext.currentTime + startTime;
+			const noteStartTime = now + startTime;
 			const noteEndTime = noteStartTime + noteDuration + 0.01;
 			
 			gainNode.gain.setValueAtTime(0, noteStartTime);
@@ -97,6 +126,7 @@ export class PowerUpSound extends Sound {
 			antiClipGain.connect(gainNode);
 			gainNode.connect(inputNode);
 			
+			voice.addSource(oscillator);
 			oscillator.start(noteStartTime);
 			oscillator.stop(noteEndTime);
 		});
@@ -104,44 +134,51 @@ export class PowerUpSound extends Sound {
 }
 
 export class DeathSound extends Sound {
-	start(output) {
-		const audioContext = output.audioContext;
-		const inputNode = output.input;
+	start(voice) {
+		const audioContext = voice.audioContext;
+		const inputNode = voice.input;
+		const now = voice.startTime;
 
 		const oscillator = audioContext.createOscillator();
 		const gainNode = audioContext.createGain();
 		const antiClipGain = audioContext.createGain();
 		
 		oscillator.type = 'sawtooth';
-		oscillator.frequency.setValueAtTime(400, audioContext.currentTime);
-		oscillator.frequency.exponentialRampToValueAtTime(100, audioContext.currentTime + 1.2);
+		oscillator.frequency.setValueAtTime(400, now);
+		oscillator.frequency.exponentialRampToValueAtTime(100, now + 1.2);
 		
 		antiClipGain.gain.value = 0.47;
-		this.createEnvelope(audioContext, gainNode, 0.1, 0.3, 0.7, 0.8, 1.2);
+		this.createEnvelope(audioContext, gainNode, 0.1, 0.3, 0.7, 0.8, 1.2, now);
 		
 		oscillator.connect(antiClipGain);
 		antiClipGain.connect(gainNode);
 		gainNode.connect(inputNode);
 		
-		oscillator.start();
-		oscillator.stop(audioContext.currentTime + 1.2);
+		voice.addSource(oscillator);
+		oscillator.start(now);
+		oscillator.stop(now + 1.2);
 	}
 }
 
 export class ExplosionSound extends Sound {
-	start(output) {
-		const audioContext = output.audioContext;
-		const inputNode = output.input;
+	start(voice) {
+		const audioContext = voice.audioContext;
+		const inputNode = voice.input;
+		const now = voice.startTime;
 
 		const duration = 0.8;
-		const bufferSize = audioContext.sampleRate * duration;
-		const buffer = audioContext.createBuffer(1, bufferSize, audioContext.sampleRate);
-		const data = buffer.getChannelData(0);
-		
-		// Generate white noise with exponential decay
-		for (let i = 0; i < bufferSize; i++) {
-			data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / bufferSize, 2);
-		}
+		const buffer = cachedNoiseBuffer(audioContext, 'explosion', () => {
+			const bufferSize = audioContext.sampleRate * duration;
+			const buffer = audioContext.createBuffer(1, bufferSize, audioContext.sampleRate);
+			const data = buffer.getChannelData(0);
+			
+			// Generate white noise with exponential decay
+			for (let i = 0; i < bufferSize; i++) {
+				data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / bufferSize, 2);
+			}
+			
+			return buffer;
+		});
 		
 		const noiseSource = audioContext.createBufferSource();
 		const deepRumble = audioContext.createOscillator();
@@ -158,28 +195,28 @@ export class ExplosionSound extends Sound {
 		noiseSource.buffer = buffer;
 		
 		deepRumble.type = 'sine';
-		deepRumble.frequency.setValueAtTime(25, audioContext.currentTime);
-		deepRumble.frequency.exponentialRampToValueAtTime(15, audioContext.currentTime + duration);
+		deepRumble.frequency.setValueAtTime(25, now);
+		deepRumble.frequency.exponentialRampToValueAtTime(15, now + duration);
 		deepGain.gain.value = 0.5;
 		
 		midRumble.type = 'square';
-		midRumble.frequency.setValueAtTime(50, audioContext.currentTime);
-		midRumble.frequency.exponentialRampToValueAtTime(30, audioContext.currentTime + duration);
+		midRumble.frequency.setValueAtTime(50, now);
+		midRumble.frequency.exponentialRampToValueAtTime(30, now + duration);
 		midGain.gain.value = 0.25;
 		
 		lowRumble.type = 'square';
-		lowRumble.frequency.setValueAtTime(80, audioContext.currentTime);
-		lowRumble.frequency.exponentialRampToValueAtTime(45, audioContext.currentTime + duration);
+		lowRumble.frequency.setValueAtTime(80, now);
+		lowRumble.frequency.exponentialRampToValueAtTime(45, now + duration);
 		lowGain.gain.value = 0.2;
 		
 		noiseGain.gain.value = 0.4;
 		
 		filter.type = 'lowpass';
-		filter.frequency.setValueAtTime(1200, audioContext.currentTime);
-		filter.frequency.exponentialRampToValueAtTime(120, audioContext.currentTime + duration);
+		filter.frequency.setValueAtTime(1200, now);
+		filter.frequency.exponentialRampToValueAtTime(120, now + duration);
 		
 		antiClipGain.gain.value = 0.7;
-		this.createEnvelope(audioContext, gainNode, 0.01, 0.2, 0.4, 0.6, duration);
+		this.createEnvelope(audioContext, gainNode, 0.01, 0.2, 0.4, 0.6, duration, now);
 		
 		deepRumble.connect(deepGain);
 		midRumble.connect(midGain);
@@ -193,45 +230,49 @@ export class ExplosionSound extends Sound {
 		antiClipGain.connect(gainNode);
 		gainNode.connect(inputNode);
 		
-		deepRumble.start();
-		midRumble.start();
-		lowRumble.start();
-		noiseSource.start();
-		deepRumble.stop(audioContext.currentTime + duration);
-		midRumble.stop(audioContext.currentTime + duration);
-		lowRumble.stop(audioContext.currentTime + duration);
+		voice.addSource(deepRumble, midRumble, lowRumble, noiseSource);
+		deepRumble.start(now);
+		midRumble.start(now);
+		lowRumble.start(now);
+		noiseSource.start(now);
+		deepRumble.stop(now + duration);
+		midRumble.stop(now + duration);
+		lowRumble.stop(now + duration);
 	}
 }
 
 export class LaserSound extends Sound {
-	start(output) {
-		const audioContext = output.audioContext;
-		const inputNode = output.input;
+	start(voice) {
+		const audioContext = voice.audioContext;
+		const inputNode = voice.input;
+		const now = voice.startTime;
 
 		const oscillator = audioContext.createOscillator();
 		const gainNode = audioContext.createGain();
 		const antiClipGain = audioContext.createGain();
 		
 		oscillator.type = 'sawtooth';
-		oscillator.frequency.setValueAtTime(1200, audioContext.currentTime);
-		oscillator.frequency.exponentialRampToValueAtTime(300, audioContext.currentTime + 0.25);
+		oscillator.frequency.setValueAtTime(1200, now);
+		oscillator.frequency.exponentialRampToValueAtTime(300, now + 0.25);
 		
 		antiClipGain.gain.value = 0.5;
-		this.createEnvelope(audioContext, gainNode, 0.005, 0.02, 0.8, 0.225, 0.25);
+		this.createEnvelope(audioContext, gainNode, 0.005, 0.02, 0.8, 0.225, 0.25, now);
 		
 		oscillator.connect(antiClipGain);
 		antiClipGain.connect(gainNode);
 		gainNode.connect(inputNode);
 		
-		oscillator.start();
-		oscillator.stop(audioContext.currentTime + 0.25);
+		voice.addSource(oscillator);
+		oscillator.start(now);
+		oscillator.stop(now + 0.25);
 	}
 }
 
 export class BeepSound extends Sound {
-	start(output) {
-		const audioContext = output.audioContext;
-		const inputNode = output.input;
+	start(voice) {
+		const audioContext = voice.audioContext;
+		const inputNode = voice.input;
+		const now = voice.startTime;
 
 		const oscillator = audioContext.createOscillator();
 		const gainNode = audioContext.createGain();
@@ -241,21 +282,23 @@ export class BeepSound extends Sound {
 		oscillator.frequency.value = 800;
 		
 		antiClipGain.gain.value = 0.7;
-		this.createEnvelope(audioContext, gainNode, 0.01, 0.02, 0.9, 0.07, 0.1);
+		this.createEnvelope(audioContext, gainNode, 0.01, 0.02, 0.9, 0.07, 0.1, now);
 		
 		oscillator.connect(antiClipGain);
 		antiClipGain.connect(gainNode);
 		gainNode.connect(inputNode);
 		
-		oscillator.start();
-		oscillator.stop(audioContext.currentTime + 0.1);
+		voice.addSource(oscillator);
+		oscillator.start(now);
+		oscillator.stop(now + 0.1);
 	}
 }
 
 export class BlipSound extends Sound {
-	start(output) {
-		const audioContext = output.audioContext;
-		const inputNode = output.input;
+	start(voice) {
+		const audioContext = voice.audioContext;
+		const inputNode = voice.input;
+		const now = voice.startTime;
 
 		const oscillator = audioContext.createOscillator();
 		const gainNode = audioContext.createGain();
@@ -265,21 +308,23 @@ export class BlipSound extends Sound {
 		oscillator.frequency.value = 1000;
 		
 		antiClipGain.gain.value = 0.6;
-		this.createEnvelope(audioContext, gainNode, 0.005, 0.01, 0.7, 0.035, 0.05);
+		this.createEnvelope(audioContext, gainNode, 0.005, 0.01, 0.7, 0.035, 0.05, now);
 		
 		oscillator.connect(antiClipGain);
 		antiClipGain.connect(gainNode);
 		gainNode.connect(inputNode);
 		
-		oscillator.start();
-		oscillator.stop(audioContext.currentTime + 0.05);
+		voice.addSource(oscillator);
+		oscillator.start(now);
+		oscillator.stop(now + 0.05);
 	}
 }
 
 export class MeowSound extends Sound {
-	start(output) {
-		const audioContext = output.audioContext;
-		const inputNode = output.input;
+	start(voice) {
+		const audioContext = voice.audioContext;
+		const inputNode = voice.input;
+		const now = voice.startTime;
 
 		const duration = 0.6;
 		const osc1 = audioContext.createOscillator();
@@ -296,22 +341,22 @@ export class MeowSound extends Sound {
 		gain1.gain.value = 0.3;
 		gain2.gain.value = 0.2;
 		
-		osc1.frequency.setValueAtTime(300, audioContext.currentTime);
-		osc1.frequency.linearRampToValueAtTime(800, audioContext.currentTime + 0.1);
-		osc1.frequency.linearRampToValueAtTime(400, audioContext.currentTime + duration);
+		osc1.frequency.setValueAtTime(300, now);
+		osc1.frequency.linearRampToValueAtTime(800, now + 0.1);
+		osc1.frequency.linearRampToValueAtTime(400, now + duration);
 		
-		osc2.frequency.setValueAtTime(600, audioContext.currentTime);
-		osc2.frequency.linearRampToValueAtTime(1200, audioContext.currentTime + 0.1);
-		osc2.frequency.linearRampToValueAtTime(600, audioContext.currentTime + duration);
+		osc2.frequency.setValueAtTime(600, now);
+		osc2.frequency.linearRampToValueAtTime(1200, now + 0.1);
+		osc2.frequency.linearRampToValueAtTime(600, now + duration);
 		
 		filter.type = 'bandpass';
-		filter.frequency.setValueAtTime(1500, audioContext.currentTime);
-		filter.frequency.linearRampToValueAtTime(2500, audioContext.currentTime + 0.1);
-		filter.frequency.linearRampToValueAtTime(1000, audioContext.currentTime + duration);
+		filter.frequency.setValueAtTime(1500, now);
+		filter.frequency.linearRampToValueAtTime(2500, now + 0.1);
+		filter.frequency.linearRampToValueAtTime(1000, now + duration);
 		filter.Q.value = 3;
 		
 		antiClipGain.gain.value = 4.8;
-		this.createEnvelope(audioContext, gainNode, 0.05, 0.1, 0.7, 0.45, duration);
+		this.createEnvelope(audioContext, gainNode, 0.05, 0.1, 0.7, 0.45, duration, now);
 		
 		osc1.connect(gain1);
 		osc2.connect(gain2);
@@ -321,17 +366,19 @@ export class MeowSound extends Sound {
 		antiClipGain.connect(gainNode);
 		gainNode.connect(inputNode);
 		
-		osc1.start();
-		osc2.start();
-		osc1.stop(audioContext.currentTime + duration);
-		osc2.stop(audioContext.currentTime + duration);
+		voice.addSource(osc1, osc2);
+		osc1.start(now);
+		osc2.start(now);
+		osc1.stop(now + duration);
+		osc2.stop(now + duration);
 	}
 }
 
 export class BarkSound extends Sound {
-	start(output) {
-		const audioContext = output.audioContext;
-		const inputNode = output.input;
+	start(voice) {
+		const audioContext = voice.audioContext;
+		const inputNode = voice.input;
+		const now = voice.startTime;
 
 		const duration = 0.12;
 		const oscillator = audioContext.createOscillator();
@@ -341,8 +388,8 @@ export class BarkSound extends Sound {
 		const boostGain = audioContext.createGain();
 		
 		oscillator.type = 'sawtooth';
-		oscillator.frequency.setValueAtTime(140, audioContext.currentTime);
-		oscillator.frequency.exponentialRampToValueAtTime(90, audioContext.currentTime + duration);
+		oscillator.frequency.setValueAtTime(140, now);
+		oscillator.frequency.exponentialRampToValueAtTime(90, now + duration);
 		
 		filter1.type = 'bandpass';
 		filter1.frequency.value = 900;
@@ -354,7 +401,7 @@ export class BarkSound extends Sound {
 		
 		boostGain.gain.value = 4.8;
 		
-		this.createEnvelope(audioContext, gainNode, 0.005, 0.04, 0.4, 0.1, duration);
+		this.createEnvelope(audioContext, gainNode, 0.005, 0.04, 0.4, 0.1, duration, now);
 		
 		oscillator.connect(filter1);
 		filter1.connect(filter2);
@@ -362,15 +409,17 @@ export class BarkSound extends Sound {
 		boostGain.connect(gainNode);
 		gainNode.connect(inputNode);
 		
-		oscillator.start();
-		oscillator.stop(audioContext.currentTime + duration);
+		voice.addSource(oscillator);
+		oscillator.start(now);
+		oscillator.stop(now + duration);
 	}
 }
 
 export class DuckSound extends Sound {
-	start(output) {
-		const audioContext = output.audioContext;
-		const inputNode = output.input;
+	start(voice) {
+		const audioContext = voice.audioContext;
+		const inputNode = voice.input;
+		const now = voice.startTime;
 
 		const duration = 0.3;
 		const oscillator = audioContext.createOscillator();
@@ -395,24 +444,26 @@ export class DuckSound extends Sound {
 		
 		antiClipGain.gain.value = 0.62;
 		
-		this.createEnvelope(audioContext, gainNode, 0.02, 0.1, 0.3, 0.18, duration);
+		this.createEnvelope(audioContext, gainNode, 0.02, 0.1, 0.3, 0.18, duration, now);
 		
 		oscillator.connect(filter);
 		filter.connect(antiClipGain);
 		antiClipGain.connect(gainNode);
 		gainNode.connect(inputNode);
 		
-		oscillator.start();
-		modulator.start();
-		oscillator.stop(audioContext.currentTime + duration);
-		modulator.stop(audioContext.currentTime + duration);
+		voice.addSource(oscillator, modulator);
+		oscillator.start(now);
+		modulator.start(now);
+		oscillator.stop(now + duration);
+		modulator.stop(now + duration);
 	}
 }
 
 export class AlienSound extends Sound {
-	start(output) {
-		const audioContext = output.audioContext;
-		const inputNode = output.input;
+	start(voice) {
+		const audioContext = voice.audioContext;
+		const inputNode = voice.input;
+		const now = voice.startTime;
 
 		const duration = 0.8;
 		const carrier = audioContext.createOscillator();
@@ -424,13 +475,13 @@ export class AlienSound extends Sound {
 		const volumeControl = audioContext.createGain();
 		
 		carrier.type = 'sine';
-		carrier.frequency.setValueAtTime(150, audioContext.currentTime);
-		carrier.frequency.exponentialRampToValueAtTime(800, audioContext.currentTime + 0.4);
-		carrier.frequency.exponentialRampToValueAtTime(100, audioContext.currentTime + duration);
+		carrier.frequency.setValueAtTime(150, now);
+		carrier.frequency.exponentialRampToValueAtTime(800, now + 0.4);
+		carrier.frequency.exponentialRampToValueAtTime(100, now + duration);
 		
 		modulator.type = 'sine';
-		modulator.frequency.setValueAtTime(30, audioContext.currentTime);
-		modulator.frequency.linearRampToValueAtTime(80, audioContext.currentTime + duration);
+		modulator.frequency.setValueAtTime(30, now);
+		modulator.frequency.linearRampToValueAtTime(80, now + duration);
 		
 		modulatorGain.gain.value = 0.5;
 		
@@ -443,37 +494,43 @@ export class AlienSound extends Sound {
 		modulatorGain.connect(ringMod.gain);
 		carrier.connect(ringMod);
 		
-		this.createEnvelope(audioContext, gainNode, 0.1, 0.2, 0.6, 0.5, duration);
+		this.createEnvelope(audioContext, gainNode, 0.1, 0.2, 0.6, 0.5, duration, now);
 		
 		ringMod.connect(filter);
 		filter.connect(volumeControl);
 		volumeControl.connect(gainNode);
 		gainNode.connect(inputNode);
 		
-		carrier.start();
-		modulator.start();
-		carrier.stop(audioContext.currentTime + duration);
-		modulator.stop(audioContext.currentTime + duration);
+		voice.addSource(carrier, modulator);
+		carrier.start(now);
+		modulator.start(now);
+		carrier.stop(now + duration);
+		modulator.stop(now + duration);
 	}
 }
 
 export class RoarSound extends Sound {
-	start(output) {
-		const audioContext = output.audioContext;
-		const inputNode = output.input;
+	start(voice) {
+		const audioContext = voice.audioContext;
+		const inputNode = voice.input;
+		const now = voice.startTime;
 
 		const duration = 1.0;
 		const lowOsc = audioContext.createOscillator();
 		const highOsc = audioContext.createOscillator();
-		const noiseBuffer = audioContext.createBuffer(1, audioContext.sampleRate * duration, audioContext.sampleRate);
-		const noiseData = noiseBuffer.getChannelData(0);
-		
-		// Generate filtered noise for texture
-		for (let i = 0; i < noiseData.length; i++) {
-			const t = i / audioContext.sampleRate;
-			const envelope = Math.sin(Math.PI * t / duration);
-			noiseData[i] = (Math.random() * 2 - 1) * 0.3 * envelope;
-		}
+		const noiseBuffer = cachedNoiseBuffer(audioContext, 'roar', () => {
+			const noiseBuffer = audioContext.createBuffer(1, audioContext.sampleRate * duration, audioContext.sampleRate);
+			const noiseData = noiseBuffer.getChannelData(0);
+			
+			// Generate filtered noise for texture
+			for (let i = 0; i < noiseData.length; i++) {
+				const t = i / audioContext.sampleRate;
+				const envelope = Math.sin(Math.PI * t / duration);
+				noiseData[i] = (Math.random() * 2 - 1) * 0.3 * envelope;
+			}
+			
+			return noiseBuffer;
+		});
 		
 		const noiseSource = audioContext.createBufferSource();
 		noiseSource.buffer = noiseBuffer;
@@ -487,29 +544,29 @@ export class RoarSound extends Sound {
 		
 		// Bass heavy square wave with frequency sweep
 		lowOsc.type = 'square';
-		lowOsc.frequency.setValueAtTime(60, audioContext.currentTime);
-		lowOsc.frequency.linearRampToValueAtTime(90, audioContext.currentTime + 0.3);
-		lowOsc.frequency.linearRampToValueAtTime(45, audioContext.currentTime + duration);
+		lowOsc.frequency.setValueAtTime(60, now);
+		lowOsc.frequency.linearRampToValueAtTime(90, now + 0.3);
+		lowOsc.frequency.linearRampToValueAtTime(45, now + duration);
 		lowGain.gain.value = 0.7; // Strong bass presence
 		
 		// Higher pitch square wave for harmonic richness
 		highOsc.type = 'square';
-		highOsc.frequency.setValueAtTime(180, audioContext.currentTime);
-		highOsc.frequency.linearRampToValueAtTime(270, audioContext.currentTime + 0.3);
-		highOsc.frequency.linearRampToValueAtTime(135, audioContext.currentTime + duration);
+		highOsc.frequency.setValueAtTime(180, now);
+		highOsc.frequency.linearRampToValueAtTime(270, now + 0.3);
+		highOsc.frequency.linearRampToValueAtTime(135, now + duration);
 		highGain.gain.value = 0.4; // Supporting harmonics
 		
 		noiseGain.gain.value = 0.3; // Texture layer
 		
 		// Light lowpass filtering to tame square wave harshness while keeping bass
 		filter.type = 'lowpass';
-		filter.frequency.setValueAtTime(1200, audioContext.currentTime);
-		filter.frequency.linearRampToValueAtTime(800, audioContext.currentTime + duration);
+		filter.frequency.setValueAtTime(1200, now);
+		filter.frequency.linearRampToValueAtTime(800, now + duration);
 		filter.Q.value = 1;
 		
 		// Reduce gain to prevent clipping (was hitting 100%)
 		antiClipGain.gain.value = 0.5; // Reduced from 1.0 to prevent clipping
-		this.createEnvelope(audioContext, gainNode, 0.1, 0.2, 0.8, 0.7, duration);
+		this.createEnvelope(audioContext, gainNode, 0.1, 0.2, 0.8, 0.7, duration, now);
 		
 		lowOsc.connect(lowGain);
 		highOsc.connect(highGain);
@@ -521,18 +578,20 @@ export class RoarSound extends Sound {
 		antiClipGain.connect(gainNode);
 		gainNode.connect(inputNode);
 		
-		lowOsc.start();
-		highOsc.start();
-		noiseSource.start();
-		lowOsc.stop(audioContext.currentTime + duration);
-		highOsc.stop(audioContext.currentTime + duration);
+		voice.addSource(lowOsc, highOsc, noiseSource);
+		lowOsc.start(now);
+		highOsc.start(now);
+		noiseSource.start(now);
+		lowOsc.stop(now + duration);
+		highOsc.stop(now + duration);
 	}
 }
 
 export class ChirpSound extends Sound {
-	start(output) {
-		const audioContext = output.audioContext;
-		const inputNode = output.input;
+	start(voice) {
+		const audioContext = voice.audioContext;
+		const inputNode = voice.input;
+		const now = voice.startTime;
 
 		const duration = 0.15;
 		const oscillator = audioContext.createOscillator();
@@ -540,26 +599,28 @@ export class ChirpSound extends Sound {
 		const antiClipGain = audioContext.createGain();
 		
 		oscillator.type = 'sine';
-		oscillator.frequency.setValueAtTime(2000, audioContext.currentTime);
-		oscillator.frequency.exponentialRampToValueAtTime(4000, audioContext.currentTime + 0.05);
-		oscillator.frequency.exponentialRampToValueAtTime(3000, audioContext.currentTime + duration);
+		oscillator.frequency.setValueAtTime(2000, now);
+		oscillator.frequency.exponentialRampToValueAtTime(4000, now + 0.05);
+		oscillator.frequency.exponentialRampToValueAtTime(3000, now + duration);
 		
 		antiClipGain.gain.value = 0.5;
-		this.createEnvelope(audioContext, gainNode, 0.01, 0.03, 0.5, 0.11, duration);
+		this.createEnvelope(audioContext, gainNode, 0.01, 0.03, 0.5, 0.11, duration, now);
 		
 		oscillator.connect(antiClipGain);
 		antiClipGain.connect(gainNode);
 		gainNode.connect(inputNode);
 		
-		oscillator.start();
-		oscillator.stop(audioContext.currentTime + duration);
+		voice.addSource(oscillator);
+		oscillator.start(now);
+		oscillator.stop(now + duration);
 	}
 }
 
 export class HowlSound extends Sound {
-	start(output) {
-		const audioContext = output.audioContext;
-		const inputNode = output.input;
+	start(voice) {
+		const audioContext = voice.audioContext;
+		const inputNode = voice.input;
+		const now = voice.startTime;
 
 		const duration = 2.0;
 		const osc1 = audioContext.createOscillator();
@@ -577,22 +638,22 @@ export class HowlSound extends Sound {
 		gain2.gain.value = 0.3;
 		
 		const baseFreq = 330; // Increased from 220 for higher pitch
-		osc1.frequency.setValueAtTime(baseFreq, audioContext.currentTime);
-		osc1.frequency.linearRampToValueAtTime(baseFreq * 1.5, audioContext.currentTime + 0.5);
-		osc1.frequency.linearRampToValueAtTime(baseFreq * 0.8, audioContext.currentTime + duration);
+		osc1.frequency.setValueAtTime(baseFreq, now);
+		osc1.frequency.linearRampToValueAtTime(baseFreq * 1.5, now + 0.5);
+		osc1.frequency.linearRampToValueAtTime(baseFreq * 0.8, now + duration);
 		
-		osc2.frequency.setValueAtTime(baseFreq * 1.5, audioContext.currentTime);
-		osc2.frequency.linearRampToValueAtTime(baseFreq * 2, audioContext.currentTime + 0.5);
-		osc2.frequency.linearRampToValueAtTime(baseFreq, audioContext.currentTime + duration);
+		osc2.frequency.setValueAtTime(baseFreq * 1.5, now);
+		osc2.frequency.linearRampToValueAtTime(baseFreq * 2, now + 0.5);
+		osc2.frequency.linearRampToValueAtTime(baseFreq, now + duration);
 		
 		filter.type = 'bandpass';
-		filter.frequency.setValueAtTime(800, audioContext.currentTime);
-		filter.frequency.linearRampToValueAtTime(1200, audioContext.currentTime + 0.5);
-		filter.frequency.linearRampToValueAtTime(600, audioContext.currentTime + duration);
+		filter.frequency.setValueAtTime(800, now);
+		filter.frequency.linearRampToValueAtTime(1200, now + 0.5);
+		filter.frequency.linearRampToValueAtTime(600, now + duration);
 		filter.Q.value = 2;
 		
 		antiClipGain.gain.value = 4.0; // Increased from 0.7 to boost from 7% to ~80%
-		this.createEnvelope(audioContext, gainNode, 0.2, 0.3, 0.8, 1.5, duration);
+		this.createEnvelope(audioContext, gainNode, 0.2, 0.3, 0.8, 1.5, duration, now);
 		
 		osc1.connect(gain1);
 		osc2.connect(gain2);
@@ -602,93 +663,406 @@ export class HowlSound extends Sound {
 		antiClipGain.connect(gainNode);
 		gainNode.connect(inputNode);
 		
-		osc1.start();
-		osc2.start();
-		osc1.stop(audioContext.currentTime + duration);
-		osc2.stop(audioContext.currentTime + duration);
+		voice.addSource(osc1, osc2);
+		osc1.start(now);
+		osc2.start(now);
+		osc1.stop(now + duration);
+		osc2.stop(now + duration);
+	}
+}
+
+// How likely a browser is to play a MIME type, from canPlayType():
+const PLAYABILITY = { probably: 2, maybe: 1, '': 0 };
+
+// An <audio> element for each document, used to ask about MIME types:
+const probeElements = new WeakMap();
+
+// Ask the window's browser whether it can play a MIME type (assumes it might if there is no document to ask)
+function canPlayType(type, window = globalThis) {
+	const document = window?.document;
+	if (!document) return 'maybe';
+	
+	let probeElement = probeElements.get(document);
+	
+	if (!probeElement) {
+		probeElement = document.createElement('audio');
+		probeElements.set(document, probeElement);
+	}
+	
+	return probeElement.canPlayType?.(type) ?? 'maybe';
+}
+
+// Encoded audio held in memory rather than behind a URL:
+function isData(value) {
+	return value instanceof ArrayBuffer || ArrayBuffer.isView(value) || (typeof Blob !== 'undefined' && value instanceof Blob);
+}
+
+function isDataURL(url) {
+	return typeof url === 'string' && url.startsWith('data:');
+}
+
+// Decoded audio can't be detected with instanceof where AudioBuffer isn't a global:
+function isAudioBuffer(value) {
+	return typeof value?.getChannelData === 'function';
+}
+
+// A source, or a list of them, as a list of { url, type } sources (with data for in-memory audio).
+// Each source is a URL (including data: URLs), encoded audio (ArrayBuffer, typed array or Blob), or { url, type } / { data, type }.
+function normalizeSources(url) {
+	const sources = Array.isArray(url) ? url : [url];
+	
+	return sources.map(source => {
+		if (typeof source === 'string') {
+			return { url: source, type: isDataURL(source) ? dataURLType(source) : undefined };
+		}
+		
+		if (isData(source)) {
+			return { url: null, type: source.type || undefined, data: source };
+		}
+		
+		if (source.data) {
+			return { url: null, type: source.type ?? (source.data.type || undefined), data: source.data };
+		}
+		
+		return { url: source.url, type: source.type };
+	});
+}
+
+// The MIME type of a data: URL, if it has one
+function dataURLType(url) {
+	return url.slice(5, url.indexOf(',')).split(';')[0] || undefined;
+}
+
+// Decode the payload of a data: URL into an ArrayBuffer
+function decodeDataURL(url) {
+	const comma = url.indexOf(',');
+	if (comma < 0) throw new Error('Malformed data URL');
+	
+	const header = url.slice(5, comma);
+	const payload = url.slice(comma + 1);
+	
+	// Percent-encoded payloads are bytes, not UTF-8 text:
+	const text = /;base64$/i.test(header) ? atob(payload) : payload.replace(/%([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+	
+	const bytes = new Uint8Array(text.length);
+	for (let index = 0; index < text.length; index++) {
+		bytes[index] = text.charCodeAt(index);
 	}
+	
+	return bytes.buffer;
 }
 
+// Read an in-memory source into a new ArrayBuffer, which decodeAudioData is free to detach
+async function readData(source) {
+	const data = source.data ?? decodeDataURL(source.url);
+	
+	if (data instanceof ArrayBuffer) return data.slice(0);
+	if (ArrayBuffer.isView(data)) return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+	
+	return data.arrayBuffer();
+}
+
+// Order sources by how likely the browser is to play them, dropping those it can't play.
+// If nothing is reported as playable, every source is tried in order.
+function rankSources(sources, canPlay = canPlayType) {
+	const ranked = sources
+		.map((source, index) => ({ source, index, rank: source.type ? PLAYABILITY[canPlay(source.type)] ?? 0 : PLAYABILITY.maybe }))
+		.filter(({rank}) => rank > 0)
+		.sort((a, b) => b.rank - a.rank || a.index - b.index)
+		.map(({source}) => source);
+	
+	return ranked.length > 0 ? ranked : sources;
+}
+
+// Defaults for loading samples, overridden by Controller options.loading and per sound:
+// timeout (milliseconds per attempt), retries and retryDelay (milliseconds, doubled after each retry), strict (playback fails on load errors),
+// and fetch (used instead of the global fetch, e.g. to load from a bundle or offline in tests).
+const LOAD_OPTIONS = { timeout: 5000, retries: 0, retryDelay: 500, strict: false, fetch: null };
+
+// The source each decoded buffer was loaded from, so sounds sharing a cached buffer can report it:
+const bufferSources = new WeakMap();
+
 // Sample Sound class - loads and plays audio files (one-shot by default)
 export class SampleSound extends Sound {
-	constructor(url, volume = 0.8) {
+	// The url can be a URL, data: URL, ArrayBuffer, Blob or AudioBuffer, or a list of alternative sources, the best one the browser can play is used.
+	// Options: polyphonic (default: false) lets triggers overlap, each with its own source and gain, and the load options timeout, retries, retryDelay, strict and fetch.
+	constructor(url, volume = 0.8, options = {}) {
 		super();
-		this.url = url;
+		
+		const { polyphonic = false, ...loadOptions } = options;
+		this.loadOptions = loadOptions;
+		
+		// Decoded audio is played as is:
+		const audioBuffer = isAudioBuffer(url) ? url : null;
+		this.sources = audioBuffer ? [] : normalizeSources(url);
+		
+		// The URL that is (or will be) played, updated once a source has loaded (null for in-memory audio):
+		this.url = this.sources[0]?.url ?? null;
+		this.type = this.sources[0]?.type;
+		
 		this.volume = volume;
+		this.polyphonic = polyphonic;
+		
+		// The most recently started source and gain node:
 		this.source = null;
 		this.gainNode = null;
-		this.audioBuffer = null;
+		
+		// The source and gain node of each playing voice:
+		this.playbacks = new Map();
+		
+		this.audioBuffer = audioBuffer;
+		this.loading = null;
+		this.bytes = 0;
 		this.isPlaying = false;
+		
+		// The window whose browser decides which sources are playable, assigned by Controller:
+		this.window = globalThis;
 	}
 	
-	async start(output) {
-		if (this.isPlaying) {
+	async start(voice) {
+		if (this.isPlaying && !this.polyphonic) {
 			console.log('Sample is already playing');
 			return;
 		}
 		
-		const audioContext = output.audioContext;
-		const inputNode = output.input;
+		const audioContext = voice.audioContext;
+		const inputNode = voice.input;
 		
 		try {
-			this.gainNode = audioContext.createGain();
-			this.gainNode.gain.value = this.volume;
-			this.gainNode.connect(inputNode);
+			const gainNode = audioContext.createGain();
+			gainNode.gain.value = this.volume;
+			gainNode.connect(inputNode);
+			this.gainNode = gainNode;
 			
 			if (!this.audioBuffer) {
 				await this.loadAudioBuffer(audioContext);
 			}
 			
-			this.playAudioBuffer(audioContext);
+			// The load error has already been reported, or the voice was stopped while loading:
+			if (!this.audioBuffer || !voice.playing) {
+				gainNode.disconnect();
+				if (this.gainNode === gainNode) this.gainNode = null;
+				return;
+			}
+			
+			this.playAudioBuffer(audioContext, voice, gainNode);
 			console.log('Sample started:', this.url);
 		} catch (error) {
+			if (error instanceof LoadError) throw error;
+			
 			console.error('Failed to start sample:', error);
+			this.dispatchEvent(new AudioEvent('error', { url: this.url, error }));
 		}
 	}
 	
-	async loadAudioBuffer(audioContext) {
-		console.log('Loading sample from:', this.url);
+	// Fill in load options that were not given to this sound, e.g. from the Controller
+	setLoadDefaults(defaults) {
+		this.loadOptions = { ...defaults, ...this.loadOptions };
+	}
+	
+	setWindow(window) {
+		this.window = window;
+	}
+	
+	// Whether load errors fail playback, see the strict load option
+	get strict() {
+		return Boolean({ ...LOAD_OPTIONS, ...this.loadOptions }.strict);
+	}
+	
+	// Fetch and decode the sample, resolving to the AudioBuffer or rejecting if it can't be loaded
+	load(audioContext) {
+		if (this.audioBuffer) {
+			return Promise.resolve(this.audioBuffer);
+		}
 		
-		try {
-			// Add a timeout to prevent hanging
-			const controller = new AbortController();
-			const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+		// Share one request between preloading and playback:
+		if (!this.loading) {
+			// Sounds with the same URL share one decoded buffer, which they release if it is evicted:
+			const cache = BufferCache.for(audioContext);
+			const onEvict = (audioBuffer) => {
+				if (this.audioBuffer === audioBuffer) this.audioBuffer = null;
+			};
+			
+			const loader = () => this.fetchBestAudioBuffer(audioContext);
 			
-			const response = await fetch(this.url, { 
+			// In-memory audio isn't cached, as there is no URL to share it by:
+			const inMemory = this.sources.some(source => source.data || isDataURL(source.url));
+			const key = this.sources.map(source => source.url).join(' | ');
+			
+			this.loading = (inMemory ? loader() : cache.load(key, loader, onEvict)).then(
+				(audioBuffer) => {
+					this.loading = null;
+					this.audioBuffer = audioBuffer;
+					
+					const chosen = bufferSources.get(audioBuffer);
+					if (chosen) {
+						this.url = chosen.url;
+						this.type = chosen.type;
+					}
+					
+					console.log(`Sample loaded: ${audioBuffer.duration.toFixed(2)}s`);
+					this.dispatchEvent(new AudioEvent('loaded', { url: this.url, type: this.type, duration: audioBuffer.duration, bytes: this.bytes }));
+					
+					return audioBuffer;
+				},
+				(error) => {
+					this.loading = null;
+					this.dispatchEvent(new AudioEvent('error', { url: this.url, error }));
+					
+					throw error;
+				}
+			);
+		}
+		
+		return this.loading;
+	}
+	
+	// Override this method to customize how playable a MIME type is considered ('probably', 'maybe' or '')
+	canPlayType(type) {
+		return canPlayType(type, this.window);
+	}
+	
+	// Try each playable source in turn, falling back to the next if it can't be fetched or decoded
+	async fetchBestAudioBuffer(audioContext) {
+		let lastError = null;
+		
+		for (const source of rankSources(this.sources, type => this.canPlayType(type))) {
+			try {
+				const audioBuffer = source.data || isDataURL(source.url)
+					? await this.readAudioBuffer(audioContext, source)
+					: await this.fetchAudioBuffer(audioContext, source.url);
+				
+				bufferSources.set(audioBuffer, source);
+				
+				return audioBuffer;
+			} catch (error) {
+				console.warn(`Failed to load sample source ${source.url ?? '(data)'}:`, error.message);
+				lastError = error;
+			}
+		}
+		
+		throw lastError;
+	}
+	
+	// Fetch and decode a URL, retrying network failures and timeouts with exponential backoff
+	async fetchAudioBuffer(audioContext, url = this.url) {
+		const { retries, retryDelay } = { ...LOAD_OPTIONS, ...this.loadOptions };
+		
+		for (let attempt = 0; ; attempt++) {
+			try {
+				return await this.fetchAudioBufferOnce(audioContext, url);
+			} catch (error) {
+				if (!error.retryable || attempt >= retries) throw error;
+				
+				console.warn(`Retrying sample ${url} after ${error.kind} error:`, error.message);
+				await new Promise(resolve => setTimeout(resolve, retryDelay * Math.pow(2, attempt)));
+			}
+		}
+	}
+	
+	// Decode an in-memory source, there is nothing to retry
+	async readAudioBuffer(audioContext, source) {
+		let arrayBuffer;
+		
+		try {
+			arrayBuffer = await readData(source);
+		} catch (error) {
+			throw new LoadError(`Failed to read: ${error.message}`, { url: source.url, kind: 'decode', cause: error });
+		}
+		
+		this.bytes = arrayBuffer.byteLength;
+		
+		return this.decodeAudioBuffer(audioContext, arrayBuffer, source.url);
+	}
+	
+	async fetchAudioBufferOnce(audioContext, url) {
+		console.log('Loading sample from:', url);
+		
+		const { timeout, fetch: fetcher } = { ...LOAD_OPTIONS, ...this.loadOptions };
+		
+		// Add a timeout to prevent hanging
+		const controller = new AbortController();
+		const timeoutId = setTimeout(() => controller.abort(), timeout);
+		
+		let arrayBuffer;
+		
+		try {
+			const response = await (fetcher ?? fetch)(url, { 
 				signal: controller.signal 
 			});
-			clearTimeout(timeoutId);
 			
 			if (!response.ok) {
-				throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+				throw new LoadError(`HTTP ${response.status}: ${response.statusText}`, { url, kind: 'network', status: response.status });
 			}
 			
-			const arrayBuffer = await response.arrayBuffer();
-			this.audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+			arrayBuffer = await response.arrayBuffer();
+		} catch (error) {
+			if (error instanceof LoadError) throw error;
 			
-			console.log(`Sample loaded: ${this.audioBuffer.duration.toFixed(2)}s`);
+			if (controller.signal.aborted) {
+				throw new LoadError(`Timed out after ${timeout}ms`, { url, kind: 'timeout', cause: error });
+			}
+			
+			throw new LoadError(error.message, { url, kind: 'network', cause: error });
+		} finally {
+			clearTimeout(timeoutId);
+		}
+		
+		this.bytes = arrayBuffer.byteLength;
+		
+		return this.decodeAudioBuffer(audioContext, arrayBuffer, url);
+	}
+	
+	async decodeAudioBuffer(audioContext, arrayBuffer, url) {
+		try {
+			return await audioContext.decodeAudioData(arrayBuffer);
+		} catch (error) {
+			throw new LoadError(`Failed to decode: ${error.message}`, { url, kind: 'decode', cause: error });
+		}
+	}
+	
+	// Load the sample for playback: errors are reported through the load promise and 'error' event, and only thrown in strict mode
+	async loadAudioBuffer(audioContext) {
+		try {
+			await this.load(audioContext);
 		} catch (error) {
 			console.warn('Failed to load sample:', error.message);
-			// Create a dummy silent buffer so the sound doesn't fail completely
-			this.audioBuffer = audioContext.createBuffer(1, audioContext.sampleRate * 0.1, audioContext.sampleRate);
+			
+			if (this.strict) {
+				throw error;
+			}
 		}
 	}
 	
-	playAudioBuffer(audioContext) {
-		this.source = audioContext.createBufferSource();
-		this.source.buffer = this.audioBuffer;
+	playAudioBuffer(audioContext, voice, gainNode = this.gainNode, offset = 0) {
+		const source = audioContext.createBufferSource();
+		source.buffer = this.audioBuffer;
 		
 		// Configure looping (overridden in subclasses)
-		this.configurePlayback(this.source);
+		this.configurePlayback(source);
 		
-		this.source.connect(this.gainNode);
+		source.connect(gainNode);
 		
-		this.source.onended = () => {
-			this.isPlaying = false;
-			this.source = null;
+		source.onended = () => {
+			gainNode.disconnect();
+			
+			if (this.playbacks.get(voice)?.source === source) {
+				this.playbacks.delete(voice);
+			}
+			
+			if (this.source === source) {
+				this.source = null;
+				this.gainNode = null;
+			}
+			
+			this.isPlaying = this.playbacks.size > 0;
 		};
 		
-		this.source.start(0);
+		this.source = source;
+		this.playbacks.set(voice, { source, gainNode });
+		
+		voice.addSource(source);
+		source.start(voice.startTime, offset);
 		this.isPlaying = true;
 	}
 	
@@ -698,34 +1072,56 @@ export class SampleSound extends Sound {
 		source.loop = false;
 	}
 	
-	stop() {
-		if (this.source && this.isPlaying) {
-			this.source.stop();
-			this.source.disconnect();
-			this.source = null;
-			
-			if (this.gainNode) {
-				this.gainNode.disconnect();
-				this.gainNode = null;
+	// Stop a specific voice, or every playback of this sample
+	stop(voice = null) {
+		if (voice) {
+			super.stop(voice);
+			return;
+		}
+		
+		for (const {source, gainNode} of this.playbacks.values()) {
+			try {
+				source.stop();
+			} catch (error) {
+				// The source has already been stopped
 			}
 			
-			this.isPlaying = false;
+			source.disconnect();
+			gainNode.disconnect();
 		}
+		
+		this.playbacks.clear();
+		this.source = null;
+		this.gainNode = null;
+		this.isPlaying = false;
+		
+		// Also end any voices that are still waiting for the sample to load:
+		super.stop();
 	}
 	
 	setVolume(volume) {
 		this.volume = volume;
+		
 		if (this.gainNode) {
 			this.gainNode.gain.value = volume;
 		}
+		
+		for (const {gainNode} of this.playbacks.values()) {
+			gainNode.gain.value = volume;
+		}
 	}
 }
 
+// The rate a buffer source plays at, including detune:
+function effectiveRate(source) {
+	return source.playbackRate.value * Math.pow(2, (source.detune?.value || 0) / 1200);
+}
+
 // Background Music class extending SampleSound with looping functionality
 export class BackgroundMusicSound extends SampleSound {
 	constructor(url, options = {}) {
-		const { volume = 0.8, loop = true, loopStart, loopEnd } = options;
-		super(url, volume);
+		const { volume = 0.8, loop = true, loopStart, loopEnd, ...sampleOptions } = options;
+		super(url, volume, sampleOptions);
 		
 		// Store loop configuration
 		this.options = {
@@ -733,6 +1129,16 @@ export class BackgroundMusicSound extends SampleSound {
 			loopStart,
 			loopEnd
 		};
+		
+		// The track position in seconds where playback was paused, or will start:
+		this.position = 0;
+		this.paused = false;
+		
+		// The voice of the most recent playback, kept while paused:
+		this.voice = null;
+		
+		// When the current source started, from which position and at what rate:
+		this.anchor = null;
 	}
 	
 	// Override to configure looping with specific loop points
@@ -753,11 +1159,826 @@ export class BackgroundMusicSound extends SampleSound {
 		}
 	}
 	
-	async start(output) {
+	async start(voice) {
+		// Starting again while paused abandons the paused playback, but keeps its position:
+		if (this.paused) {
+			this.paused = false;
+			this.voice?.stop();
+		}
+		
+		if (this.isPlaying && !this.polyphonic) {
+			return;
+		}
+		
+		await super.start(voice);
+	}
+	
+	playAudioBuffer(audioContext, voice, gainNode = this.gainNode, offset = this.position) {
+		super.playAudioBuffer(audioContext, voice, gainNode, offset);
+		
+		const source = this.source;
+		const ended = source.onended;
+		
+		// A track that finishes on its own starts from the beginning next time:
+		source.onended = () => {
+			if (this.source === source) {
+				this.position = 0;
+				this.anchor = null;
+			}
+			
+			ended();
+		};
+		
+		this.voice = voice;
+		this.anchor = {
+			time: Math.max(voice.startTime, audioContext.currentTime),
+			position: offset,
+			rate: effectiveRate(source),
+		};
+		
+		// Changing the voice's rate restarts position tracking from the current position:
+		voice.onratechange = () => {
+			if (this.source !== source) return;
+			
+			this.anchor = {
+				time: audioContext.currentTime,
+				position: this.currentTime,
+				rate: effectiveRate(source),
+			};
+		};
+	}
+	
+	// The playback position in seconds, wrapped to the loop region while looping
+	get currentTime() {
+		if (this.paused || !this.anchor || !this.source) {
+			return this.position;
+		}
+		
+		const {time, position, rate} = this.anchor;
+		const elapsed = Math.max(0, this.voice.audioContext.currentTime - time) * rate;
+		
+		return this.wrap(position + elapsed);
+	}
+	
+	// The [start, end] of the region that loops, following the Web Audio rules (invalid loop points loop the whole buffer)
+	get loopRegion() {
+		const duration = this.audioBuffer?.duration ?? Infinity;
+		const { loopStart = 0, loopEnd = 0 } = this.options;
+		
+		if (loopStart >= 0 && loopEnd > 0 && loopStart < loopEnd) {
+			return [loopStart, Math.min(loopEnd, duration)];
+		}
+		
+		return [0, duration];
+	}
+	
+	// Map an unwrapped track position onto the buffer
+	wrap(position) {
+		if (!this.options.loop) {
+			return Math.min(position, this.audioBuffer?.duration ?? Infinity);
+		}
+		
+		const [start, end] = this.loopRegion;
+		
+		if (position < end || end <= start) {
+			return position;
+		}
+		
+		return start + (position - start) % (end - start);
+	}
+	
+	// Pause at the current position, keeping the voice so resume() continues on the same bus
+	pause() {
+		if (this.paused || !this.source) return false;
+		
+		this.position = this.currentTime;
+		this.paused = true;
+		this.detach();
+		
+		return true;
+	}
+	
+	// Continue from the paused position
+	resume() {
+		if (!this.paused) return false;
+		this.paused = false;
+		
+		// The voice may have been stopped while paused:
+		if (!this.voice?.playing) return false;
+		
+		this.restart(this.position);
+		
+		return true;
+	}
+	
+	// Jump to a position in seconds, playback continues from there (or starts there when resumed or next played)
+	seek(seconds) {
+		const duration = this.audioBuffer?.duration ?? Infinity;
+		this.position = Math.min(Math.max(0, seconds), duration);
+		
+		if (this.source && !this.paused) {
+			this.detach();
+			this.restart(this.position);
+		}
+	}
+	
+	// Stop the current source without ending its voice
+	detach() {
+		const playback = this.playbacks.get(this.voice);
+		
+		if (playback) {
+			const {source, gainNode} = playback;
+			
+			source.onended = null;
+			this.voice.removeSource(source);
+			
+			try {
+				source.stop();
+			} catch (error) {
+				// The source has already been stopped
+			}
+			
+			source.disconnect();
+			gainNode.disconnect();
+			this.playbacks.delete(this.voice);
+		}
+		
+		this.source = null;
+		this.gainNode = null;
+		this.anchor = null;
+		this.isPlaying = this.playbacks.size > 0;
+	}
+	
+	// Start a new source on the current voice at the given position
+	restart(position) {
+		const audioContext = this.voice.audioContext;
+		
+		const gainNode = audioContext.createGain();
+		gainNode.gain.value = this.volume;
+		gainNode.connect(this.voice.input);
+		this.gainNode = gainNode;
+		
+		this.playAudioBuffer(audioContext, this.voice, gainNode, position);
+	}
+	
+	stop(voice = null) {
+		if (!voice || voice === this.voice) {
+			this.position = 0;
+			this.paused = false;
+			this.anchor = null;
+			this.voice = null;
+		}
+		
+		super.stop(voice);
+	}
+}
+
+// Adapts a media element to the source interface Voice expects (stop, playbackRate and an 'ended' event)
+class MediaElementHandle extends EventTarget {
+	constructor(element, audioContext) {
+		super();
+		this.element = element;
+		this.audioContext = audioContext;
+		this.timeout = null;
+		this.ended = false;
+		
+		this.playbackRate = {
+			get value() {
+				return element.playbackRate;
+			},
+			set value(rate) {
+				element.playbackRate = rate;
+			}
+		};
+	}
+	
+	// Pause and rewind at the given context time
+	stop(when = this.audioContext.currentTime) {
+		clearTimeout(this.timeout);
+		
+		const delay = Math.max(0, when - this.audioContext.currentTime);
+		this.timeout = setTimeout(() => this.end(), delay * 1000);
+	}
+	
+	end() {
+		if (this.ended) return;
+		this.ended = true;
+		
+		clearTimeout(this.timeout);
+		this.element.pause();
+		this.element.currentTime = 0;
+		
+		this.dispatchEvent(new Event('ended'));
+	}
+}
+
+// Streaming Music class - plays long tracks through an <audio> element instead of decoding them into memory
+export class StreamingMusicSound extends Sound {
+	constructor(url, options = {}) {
+		super();
+		
+		const { volume = 0.8, loop = true, loopStart, loopEnd } = options;
+		
+		// As with SampleSound, the url can be a list of alternative sources:
+		this.sources = normalizeSources(url);
+		this.url = this.sources[0].url;
+		this.volume = volume;
+		this.options = {
+			loop,
+			loopStart,
+			loopEnd
+		};
+		
+		this.element = null;
+		this.source = null;
+		this.gainNode = null;
+		this.handle = null;
+		this.isPlaying = false;
+		
+		// The window whose document creates the media element, assigned by Controller:
+		this.window = globalThis;
+	}
+	
+	setWindow(window) {
+		this.window = window;
+	}
+	
+	// Override this method to customize the media element (e.g. for testing)
+	createElement() {
+		const document = this.window?.document;
+		
+		if (!document) {
+			throw new Error('StreamingMusicSound requires a window with a document');
+		}
+		
+		const element = document.createElement('audio');
+		element.crossOrigin = 'anonymous';
+		element.preload = 'auto';
+		
+		// Media elements can't fall back after failing to decode, so the best candidate is used:
+		this.url = rankSources(this.sources, type => canPlayType(type, this.window))[0].url;
+		element.src = this.url;
+		
+		return element;
+	}
+	
+	// Media elements can only be connected to a single source node, so it is created once per AudioContext
+	connect(audioContext) {
+		if (this.source && this.source.context === audioContext) return;
+		
+		this.element = this.createElement();
+		this.source = audioContext.createMediaElementSource(this.element);
+		this.configurePlayback(this.element);
+	}
+	
+	configurePlayback(element) {
+		const { loop, loopStart, loopEnd } = this.options;
+		
+		// Media elements only loop the whole file, so custom loop points are applied as playback passes them:
+		element.loop = Boolean(loop) && loopStart === undefined && loopEnd === undefined;
+		
+		if (loop && (loopStart !== undefined || loopEnd !== undefined)) {
+			element.addEventListener('timeupdate', () => {
+				const end = loopEnd ?? element.duration;
+				
+				if (element.currentTime >= end) {
+					element.currentTime = loopStart ?? 0;
+				}
+			});
+			
+			element.addEventListener('ended', () => {
+				element.currentTime = loopStart ?? 0;
+				element.play();
+			});
+		}
+	}
+	
+	async start(voice) {
 		if (this.isPlaying) {
 			return;
 		}
 		
-		await super.start(output);
+		const audioContext = voice.audioContext;
+		this.connect(audioContext);
+		
+		const element = this.element;
+		const handle = this.handle = new MediaElementHandle(element, audioContext);
+		
+		this.gainNode = audioContext.createGain();
+		this.gainNode.gain.value = this.volume;
+		this.source.connect(this.gainNode);
+		this.gainNode.connect(voice.input);
+		
+		const gainNode = this.gainNode;
+		const ended = () => handle.end();
+		
+		// Without custom loop points the element ends on its own:
+		if (!this.options.loop || element.loop) {
+			element.addEventListener('ended', ended);
+		}
+		
+		handle.addEventListener('ended', () => {
+			element.removeEventListener('ended', ended);
+			this.source.disconnect(gainNode);
+			gainNode.disconnect();
+			
+			if (this.handle === handle) {
+				this.handle = null;
+				this.gainNode = null;
+				this.isPlaying = false;
+			}
+		});
+		
+		voice.addSource(handle);
+		this.isPlaying = true;
+		
+		const delay = voice.startTime - audioContext.currentTime;
+		if (delay > 0) {
+			await new Promise(resolve => setTimeout(resolve, delay * 1000));
+		}
+		
+		if (handle.ended) return;
+		
+		try {
+			await element.play();
+		} catch (error) {
+			handle.end();
+			throw error;
+		}
+	}
+	
+	stop(voice = null) {
+		if (!voice && this.handle) {
+			this.handle.end();
+		}
+		
+		super.stop(voice);
+	}
+	
+	setVolume(volume) {
+		this.volume = volume;
+		if (this.gainNode) {
+			this.gainNode.gain.value = volume;
+		}
+	}
+}
+
+// Shuffle an array in place (Fisher-Yates)
+function shuffleArray(array) {
+	for (let i = array.length - 1; i > 0; i--) {
+		const j = Math.floor(Math.random() * (i + 1));
+		[array[i], array[j]] = [array[j], array[i]];
+	}
+	
+	return array;
+}
+
+// Playlist - plays a list of tracks back to back, scheduling each one to start exactly when the previous one ends
+export class Playlist extends Sound {
+	// Tracks are URLs or { url, loopStart, loopEnd, loops }, where the loop region repeats `loops` times (default: 1) before the next track.
+	// Options: volume, shuffle (default: false), repeat ('all' (default), 'one' or 'none') and the SampleSound load options.
+	constructor(tracks, options = {}) {
+		super();
+		
+		const { volume = 0.8, shuffle = false, repeat = 'all', ...loadOptions } = options;
+		
+		this.tracks = tracks.map(track => {
+			const { url, loopStart, loopEnd, loops = 1 } = typeof track === 'string' ? { url: track } : track;
+			return { url, loopStart, loopEnd, loops, sample: new SampleSound(url, volume, loadOptions) };
+		});
+		
+		// Forward each track's load events, so the playlist reports them:
+		for (const track of this.tracks) {
+			for (const type of ['loaded', 'error']) {
+				track.sample.addEventListener(type, (event) => this.dispatchEvent(new AudioEvent(type, event.detail)));
+			}
+		}
+		
+		this.volume = volume;
+		this.shuffle = shuffle;
+		this.repeat = repeat;
+		
+		// The play order (indices into tracks) and the current position in it:
+		this.order = this.tracks.map((track, index) => index);
+		this.position = 0;
+		
+		if (shuffle) shuffleArray(this.order);
+		
+		this.voice = null;
+		this.gainNode = null;
+		
+		// The scheduled source of the current track, and of the next one once it is loaded:
+		this.current = null;
+		this.upcoming = null;
+		
+		this.finish = null;
+	}
+	
+	// The index into tracks of the current track
+	get index() {
+		return this.order[this.position];
+	}
+	
+	get track() {
+		return this.tracks[this.index];
+	}
+	
+	get isPlaying() {
+		return Boolean(this.voice?.playing);
+	}
+	
+	// Bytes downloaded for all tracks so far
+	get bytes() {
+		return this.tracks.reduce((bytes, track) => bytes + track.sample.bytes, 0);
+	}
+	
+	// Load every track, e.g. from Controller.preload
+	async load(audioContext) {
+		await Promise.all(this.tracks.map(track => track.sample.load(audioContext)));
+	}
+	
+	setLoadDefaults(defaults) {
+		for (const track of this.tracks) {
+			track.sample.setLoadDefaults(defaults);
+		}
+	}
+	
+	setWindow(window) {
+		for (const track of this.tracks) {
+			track.sample.setWindow(window);
+		}
+	}
+	
+	setShuffle(shuffle) {
+		const index = this.index;
+		this.shuffle = shuffle;
+		
+		this.order = this.tracks.map((track, index) => index);
+		if (shuffle) shuffleArray(this.order);
+		
+		// Keep the current track, so only the tracks after it change:
+		this.position = this.order.indexOf(index);
+		this.#rescheduleUpcoming();
+	}
+	
+	setRepeat(repeat) {
+		this.repeat = repeat;
+		this.#rescheduleUpcoming();
+	}
+	
+	async start(voice) {
+		// Only one playback of a playlist at a time:
+		if (this.isPlaying) return;
+		
+		this.voice = voice;
+		this.gainNode = voice.audioContext.createGain();
+		this.gainNode.gain.value = this.volume;
+		this.gainNode.connect(voice.input);
+		
+		// The voice lasts until the playlist finishes or is stopped, or fails with the error of a strict track:
+		const finished = new Promise((resolve, reject) => this.finish = { resolve, reject });
+		
+		try {
+			await this.#play(this.position, voice.startTime);
+		} catch (error) {
+			if (this.voice === voice) this.#fail(error);
+		}
+		
+		return finished;
+	}
+	
+	// Skip to the next track
+	next() {
+		this.#skip(this.#following(this.position, true));
+	}
+	
+	// Go back to the previous track
+	previous() {
+		this.#skip((this.position - 1 + this.order.length) % this.order.length);
+	}
+	
+	stop(voice = null) {
+		super.stop(voice);
+		
+		// A voice stopped while loading has no sources to end it:
+		if (this.voice && !this.voice.playing) {
+			this.#finished();
+		}
+	}
+	
+	// The position after the given one, or null at the end of the playlist
+	#following(position, skipping = false) {
+		if (this.repeat === 'one' && !skipping) return position;
+		
+		if (position + 1 < this.order.length) return position + 1;
+		if (this.repeat === 'none' && !skipping) return null;
+		
+		// Each pass through a shuffled playlist uses a new order:
+		if (this.shuffle && !skipping) shuffleArray(this.order);
+		
+		return 0;
+	}
+	
+	// Start the track at the given position, then schedule the one after it
+	async #play(position, when) {
+		const voice = this.voice;
+		const entry = await this.#schedule(position, when);
+		
+		if (!entry) {
+			// No track after this one could be loaded, unless the playlist was started again meanwhile:
+			if (this.voice === voice && !this.current) this.#finished();
+			return;
+		}
+		
+		this.current = entry;
+		this.position = entry.position;
+		this.dispatchEvent(new AudioEvent('trackchange', { index: this.index, url: this.track.sample.url }));
+		
+		await this.#scheduleUpcoming();
+	}
+	
+	async #scheduleUpcoming() {
+		const current = this.current;
+		const position = this.#following(current.position);
+		if (position === null) return;
+		
+		const entry = await this.#schedule(position, current.endTime);
+		if (!entry) return;
+		
+		// The current track may have changed while the next one was loading:
+		if (this.current !== current || this.upcoming) {
+			this.#cancel(entry);
+		} else {
+			this.upcoming = entry;
+		}
+	}
+	
+	#rescheduleUpcoming() {
+		if (!this.upcoming && !this.current) return;
+		
+		if (this.upcoming) {
+			this.#cancel(this.upcoming);
+			this.upcoming = null;
+		}
+		
+		this.#background(this.#scheduleUpcoming());
+	}
+	
+	// Create and start a source for the track at the given position, no earlier than `when`.
+	// Tracks that fail to load are skipped, returns null if none of the following tracks could be loaded.
+	async #schedule(position, when, attempts = 0) {
+		const voice = this.voice;
+		const track = this.tracks[this.order[position]];
+		const audioContext = voice.audioContext;
+		
+		if (!track.sample.audioBuffer) {
+			await track.sample.loadAudioBuffer(audioContext);
+		}
+		
+		// The playlist may have been started again while loading, and the newer playback is left alone:
+		if (this.voice !== voice) return null;
+		
+		// Or stopped:
+		if (!voice.playing) {
+			this.#finished();
+			return null;
+		}
+		
+		if (!track.sample.audioBuffer) {
+			const next = this.#following(position);
+			if (next === null || attempts + 1 >= this.tracks.length) return null;
+			
+			return this.#schedule(next, when, attempts + 1);
+		}
+		
+		const buffer = track.sample.audioBuffer;
+		const source = audioContext.createBufferSource();
+		source.buffer = buffer;
+		source.connect(this.gainNode);
+		
+		let duration = buffer.duration;
+		const { loopStart, loopEnd, loops } = track;
+		
+		if (loopStart >= 0 && loopEnd > loopStart && loopEnd <= buffer.duration) {
+			source.loop = true;
+			source.loopStart = loopStart;
+			source.loopEnd = loopEnd;
+			
+			// Play through the loop region `loops` times, ending at loopEnd:
+			duration = loopEnd + (loops - 1) * (loopEnd - loopStart);
+		}
+		
+		voice.addSource(source);
+		
+		const startTime = Math.max(when, audioContext.currentTime);
+		const endTime = startTime + duration / source.playbackRate.value;
+		
+		source.start(startTime);
+		if (source.loop) source.stop(endTime);
+		
+		const entry = { source, position, startTime, endTime };
+		source.onended = () => this.#ended(entry);
+		
+		return entry;
+	}
+	
+	#ended(entry) {
+		if (entry !== this.current) return;
+		
+		if (this.voice.stopped) {
+			this.#finished();
+			return;
+		}
+		
+		// Advance to the track that was scheduled to start as this one ended:
+		this.current = this.upcoming;
+		this.upcoming = null;
+		
+		if (this.current) {
+			this.position = this.current.position;
+			this.dispatchEvent(new AudioEvent('trackchange', { index: this.index, url: this.track.sample.url }));
+			this.#background(this.#scheduleUpcoming());
+		} else if (this.#following(entry.position) === null) {
+			this.position = 0;
+			this.#finished();
+		} else {
+			// The next track didn't load in time, so it starts as soon as it does:
+			this.#background(this.#play(this.#following(entry.position), 0));
+		}
+	}
+	
+	// Stop a scheduled source without ending the voice
+	#cancel(entry) {
+		entry.source.onended = null;
+		this.voice?.removeSource(entry.source);
+		
+		try {
+			entry.source.stop();
+		} catch (error) {
+			// The source has already been stopped
+		}
+		
+		entry.source.disconnect();
+	}
+	
+	#skip(position) {
+		if (!this.isPlaying) {
+			this.position = position;
+			return;
+		}
+		
+		for (const entry of [this.current, this.upcoming]) {
+			if (entry) this.#cancel(entry);
+		}
+		
+		this.current = null;
+		this.upcoming = null;
+		
+		this.#background(this.#play(position, 0));
+	}
+	
+	// Run a scheduling step without waiting for it, failing the playback if it throws
+	#background(promise) {
+		const voice = this.voice;
+		
+		promise.catch(error => {
+			if (this.voice === voice) this.#fail(error);
+		});
+	}
+	
+	// End the playback with an error, which the voice reports
+	#fail(error) {
+		for (const entry of [this.current, this.upcoming]) {
+			if (entry) this.#cancel(entry);
+		}
+		
+		this.#finished(error);
+	}
+	
+	#finished(error = null) {
+		if (this.finish) {
+			if (error) {
+				this.finish.reject(error);
+			} else {
+				this.finish.resolve();
+			}
+			
+			this.finish = null;
+		}
+		
+		if (this.gainNode) {
+			this.gainNode.disconnect();
+			this.gainNode = null;
+		}
+		
+		this.current = null;
+		this.upcoming = null;
+	}
+}
+
+// Audio Sprite - one sample file packed with many sounds, described by a sprite map: { name: [offset, duration, loop?] }
+export class AudioSprite extends SampleSound {
+	constructor(url, sprites, volume = 0.8) {
+		super(url, volume);
+		this.segments = {};
+		
+		for (const [name, region] of Object.entries(sprites || {})) {
+			const [offset, duration, loop = false] = Array.isArray(region) ? region : [];
+			
+			if (!(offset >= 0) || !(duration > 0)) {
+				throw new Error(`Sprite '${name}' must be [offset, duration, loop?] with offset >= 0 and duration > 0`);
+			}
+			
+			this.segments[name] = new SpriteSound(this, name, offset, duration, Boolean(loop));
+		}
+	}
+	
+	// Get the sound for a single segment
+	segment(name) {
+		return this.segments[name];
+	}
+	
+	// Add every segment to the controller, with the given addSound options
+	register(controller, options = {}) {
+		const sounds = {};
+		
+		for (const [name, segment] of Object.entries(this.segments)) {
+			sounds[name] = controller.addSound(name, segment, options);
+		}
+		
+		return sounds;
+	}
+}
+
+// A region of an AudioSprite, played from the sprite's shared buffer
+export class SpriteSound extends Sound {
+	constructor(sprite, name, offset, duration, loop = false) {
+		super();
+		this.sprite = sprite;
+		this.name = name;
+		this.offset = offset;
+		this.duration = duration;
+		this.loop = loop;
+		
+		// Forward the sprite's load events, so each registered segment reports them (Controller emits each one once):
+		for (const type of ['loaded', 'error']) {
+			sprite.addEventListener(type, (event) => this.dispatchEvent(new AudioEvent(type, event.detail)));
+		}
+	}
+	
+	// Loading a segment loads the whole sprite
+	load(audioContext) {
+		return this.sprite.load(audioContext);
+	}
+	
+	// Bytes downloaded for the whole sprite
+	get bytes() {
+		return this.sprite.bytes;
+	}
+	
+	setLoadDefaults(defaults) {
+		this.sprite.setLoadDefaults(defaults);
+	}
+	
+	setWindow(window) {
+		this.sprite.setWindow(window);
+	}
+	
+	get strict() {
+		return this.sprite.strict;
+	}
+	
+	async start(voice) {
+		const audioContext = voice.audioContext;
+		
+		const gainNode = audioContext.createGain();
+		gainNode.gain.value = this.sprite.volume;
+		gainNode.connect(voice.input);
+		
+		if (!this.sprite.audioBuffer) {
+			await this.sprite.loadAudioBuffer(audioContext);
+		}
+		
+		if (!this.sprite.audioBuffer || !voice.playing) {
+			gainNode.disconnect();
+			return;
+		}
+		
+		const source = audioContext.createBufferSource();
+		source.buffer = this.sprite.audioBuffer;
+		source.connect(gainNode);
+		source.onended = () => gainNode.disconnect();
+		
+		voice.addSource(source);
+		
+		if (this.loop) {
+			// Loop within the segment's region until stopped:
+			source.loop = true;
+			source.loopStart = this.offset;
+			source.loopEnd = this.offset + this.duration;
+			source.start(voice.startTime, this.offset);
+		} else {
+			source.start(voice.startTime, this.offset, this.duration);
+		}
 	}
 }
@@ -0,0 +1,20 @@
+// Load Error - why a sample could not be loaded: 'network' (including HTTP errors), 'timeout' or 'decode'
+
+export class LoadError extends Error {
+	constructor(message, {url = null, kind = 'network', status = null, cause = null} = {}) {
+		super(message);
+		this.name = 'LoadError';
+		this.url = url;
+		this.kind = kind;
+		this.status = status;
+		this.cause = cause;
+	}
+	
+	// Timeouts, network failures and server errors may succeed when retried, missing files and decode failures won't
+	get retryable() {
+		if (this.kind === 'timeout') return true;
+		if (this.kind !== 'network') return false;
+		
+		return this.status === null || this.status >= 500 || this.status === 429;
+	}
+}
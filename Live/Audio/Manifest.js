@@ -0,0 +1,223 @@
+// Sound Manifest - validates a JSON description of a sound set and registers it with a Controller
+import { Sound } from './Sound.js';
+import * as Library from './Library.js';
+
+// Options passed through to Controller.addSound:
+const CONTROLLER_OPTIONS = ['bus', 'maxVoices', 'steal', 'cooldown', 'coalesce'];
+
+// Options used to construct background music:
+const LOOP_OPTIONS = ['loop', 'loopStart', 'loopEnd'];
+
+const ENTRY_KEYS = ['type', 'url', 'volume', ...CONTROLLER_OPTIONS, ...LOOP_OPTIONS];
+
+const STEAL_POLICIES = ['oldest', 'quietest', 'reject'];
+
+export class ManifestError extends Error {
+	constructor(errors) {
+		super(`Invalid sound manifest:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+		this.name = 'ManifestError';
+		this.errors = errors;
+	}
+}
+
+function isSubclass(SoundClass, BaseClass) {
+	return SoundClass === BaseClass || SoundClass.prototype instanceof BaseClass;
+}
+
+// Music classes take a url and loop options:
+function isMusic(SoundClass) {
+	return isSubclass(SoundClass, Library.BackgroundMusicSound) || isSubclass(SoundClass, Library.StreamingMusicSound);
+}
+
+export class Manifest {
+	// Parse and validate a manifest, given as a JSON string or an object: { sounds: { name: entry } }
+	static parse(json, library = Library) {
+		let data = json;
+		
+		if (typeof json === 'string') {
+			try {
+				data = JSON.parse(json);
+			} catch (error) {
+				throw new ManifestError([`manifest is not valid JSON: ${error.message}`]);
+			}
+		}
+		
+		return new Manifest(data, library);
+	}
+	
+	constructor(data, library = Library) {
+		this.library = library;
+		this.entries = {};
+		
+		const errors = [];
+		
+		if (!data || typeof data !== 'object' || Array.isArray(data)) {
+			throw new ManifestError(['manifest must be an object']);
+		}
+		
+		const sounds = data.sounds;
+		
+		if (!sounds || typeof sounds !== 'object' || Array.isArray(sounds)) {
+			throw new ManifestError(['manifest.sounds must be an object mapping names to sound entries']);
+		}
+		
+		for (const [name, entry] of Object.entries(sounds)) {
+			// A string is shorthand for { type: ClassName }:
+			const normalized = typeof entry === 'string' ? { type: entry } : entry;
+			
+			if (this.#validateEntry(`sounds.${name}`, normalized, errors)) {
+				this.entries[name] = normalized;
+			}
+		}
+		
+		if (errors.length > 0) {
+			throw new ManifestError(errors);
+		}
+	}
+	
+	// The names of all sounds in the manifest
+	get names() {
+		return Object.keys(this.entries);
+	}
+	
+	#soundClass(entry) {
+		// Entries with a URL default to a one-shot sample:
+		const type = entry.type ?? (entry.url !== undefined ? 'SampleSound' : undefined);
+		const SoundClass = this.library[type];
+		
+		if (typeof SoundClass === 'function' && SoundClass.prototype instanceof Sound) {
+			return SoundClass;
+		}
+		
+		return null;
+	}
+	
+	#validateEntry(path, entry, errors) {
+		const count = errors.length;
+		
+		if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+			errors.push(`${path} must be an object or a sound class name`);
+			return false;
+		}
+		
+		for (const key of Object.keys(entry)) {
+			if (!ENTRY_KEYS.includes(key)) {
+				errors.push(`${path}.${key} is not a known option (expected one of: ${ENTRY_KEYS.join(', ')})`);
+			}
+		}
+		
+		const SoundClass = this.#soundClass(entry);
+		
+		if (!SoundClass) {
+			if (entry.type === undefined) {
+				errors.push(`${path} needs either a type or a url`);
+			} else {
+				errors.push(`${path}.type '${entry.type}' is not a sound class in the library`);
+			}
+		} else {
+			const type = SoundClass.name;
+			
+			if (isSubclass(SoundClass, Library.AudioSprite) || isSubclass(SoundClass, Library.SpriteSound)) {
+				errors.push(`${path}.type '${type}' needs a sprite map, register it with AudioSprite.register() instead`);
+			} else if (isSubclass(SoundClass, Library.Playlist)) {
+				errors.push(`${path}.type '${type}' needs a track list, add it with Controller.addSound() instead`);
+			} else if (isSubclass(SoundClass, Library.SampleSound) || isMusic(SoundClass)) {
+				if (Array.isArray(entry.url) && entry.url.length > 0) {
+					// A list of alternative sources, e.g. for codec fallback:
+					entry.url.forEach((source, index) => {
+						const url = typeof source === 'string' ? source : source?.url;
+						
+						if (typeof url !== 'string' || url.length === 0 || (source.type !== undefined && typeof source.type !== 'string')) {
+							errors.push(`${path}.url[${index}] must be a URL or { url, type }`);
+						}
+					});
+				} else if (typeof entry.url !== 'string' || entry.url.length === 0) {
+					errors.push(`${path}.url is required for ${type}`);
+				}
+			} else if (entry.url !== undefined) {
+				errors.push(`${path}.url is only supported by sample sounds, not ${type}`);
+			}
+			
+			if (!isMusic(SoundClass)) {
+				for (const key of LOOP_OPTIONS) {
+					if (entry[key] !== undefined) {
+						errors.push(`${path}.${key} is only supported by BackgroundMusicSound, not ${type}`);
+					}
+				}
+			}
+		}
+		
+		const number = (key, check, description) => {
+			const value = entry[key];
+			if (value === undefined) return;
+			
+			if (typeof value !== 'number' || !Number.isFinite(value) || !check(value)) {
+				errors.push(`${path}.${key} must be ${description}, got ${JSON.stringify(value)}`);
+			}
+		};
+		
+		number('volume', value => value >= 0, 'a number >= 0');
+		number('cooldown', value => value >= 0, 'a number of seconds >= 0');
+		number('coalesce', value => value >= 0, 'a number of milliseconds >= 0');
+		number('maxVoices', value => Number.isInteger(value) && value > 0, 'a positive integer');
+		number('loopStart', value => value >= 0, 'a number of seconds >= 0');
+		number('loopEnd', value => value > 0, 'a number of seconds > 0');
+		
+		if (typeof entry.loopStart === 'number' && typeof entry.loopEnd === 'number' && entry.loopStart >= entry.loopEnd) {
+			errors.push(`${path}.loopStart (${entry.loopStart}) must be before loopEnd (${entry.loopEnd})`);
+		}
+		
+		if (entry.loop !== undefined && typeof entry.loop !== 'boolean') {
+			errors.push(`${path}.loop must be a boolean`);
+		}
+		
+		if (entry.bus !== undefined && (typeof entry.bus !== 'string' || entry.bus.length === 0)) {
+			errors.push(`${path}.bus must be a bus name`);
+		}
+		
+		if (entry.steal !== undefined && !STEAL_POLICIES.includes(entry.steal)) {
+			errors.push(`${path}.steal must be one of: ${STEAL_POLICIES.join(', ')}`);
+		}
+		
+		return errors.length === count;
+	}
+	
+	// Instantiate the sound for a validated entry, returns { sound, options } for Controller.addSound
+	createSound(name) {
+		const entry = this.entries[name];
+		const SoundClass = this.#soundClass(entry);
+		const options = {};
+		
+		for (const key of CONTROLLER_OPTIONS) {
+			if (entry[key] !== undefined) options[key] = entry[key];
+		}
+		
+		let sound;
+		
+		if (isMusic(SoundClass)) {
+			const {volume, loop, loopStart, loopEnd} = entry;
+			sound = new SoundClass(entry.url, { volume, loop, loopStart, loopEnd });
+		} else if (isSubclass(SoundClass, Library.SampleSound)) {
+			sound = new SoundClass(entry.url, entry.volume);
+		} else {
+			sound = new SoundClass();
+			
+			// Synthesized sounds take their level from the controller:
+			if (entry.volume !== undefined) options.volume = entry.volume;
+		}
+		
+		return { sound, options };
+	}
+	
+	// Add every sound in the manifest to the controller
+	register(controller) {
+		const sounds = {};
+		
+		for (const name of this.names) {
+			const {sound, options} = this.createSound(name);
+			sounds[name] = controller.addSound(name, sound, options);
+		}
+		
+		return sounds;
+	}
+}
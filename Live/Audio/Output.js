@@ -1,10 +1,14 @@
 // Base Audio Output Node - handles routing to analysis and/or audio device
+import { Bus } from './Bus.js';
 
 export class Output {
 	#audioContext = null;
 	#gainNode = null;
 	#analysisNode = null;
 	#destination = null;
+	#buses = new Map();
+	#volume = 1.0;
+	#muted = false;
 	
 	constructor(audioContext, initialGain = 1.0) {
 		if (!audioContext || typeof audioContext.createGain !== 'function') {
@@ -18,6 +22,7 @@ export class Output {
 		this.#destination = this.#audioContext.destination;
 		
 		// Default volume is 1.0
+		this.#volume = initialGain;
 		this.#gainNode.gain.value = initialGain;
 		
 		// Connect directly to destination by default
@@ -59,18 +64,66 @@ export class Output {
 		return this.#gainNode;
 	}
 	
-	// Get current volume from the gain node
+	// Get the current volume setting, independent of the mute state
 	get volume() {
-		return this.#gainNode.gain.value;
+		return this.#volume;
+	}
+	
+	get muted() {
+		return this.#muted;
 	}
 	
 	// Apply volume to the gain node (called by Controller)
 	setVolume(volume) {
-		this.#gainNode.gain.value = volume;
+		this.#volume = volume;
+		
+		if (!this.#muted) {
+			this.#gainNode.gain.value = volume;
+		}
+	}
+	
+	// Mute or unmute without changing the volume, ramping the gain over rampTime seconds
+	setMuted(muted, rampTime = 0) {
+		this.#muted = muted;
+		
+		const level = muted ? 0 : this.#volume;
+		
+		if (rampTime > 0) {
+			this.fadeTo(level, rampTime);
+		} else {
+			this.#gainNode.gain.value = level;
+		}
+	}
+	
+	// Ramp the gain to the given level over duration seconds
+	fadeTo(volume, duration) {
+		const now = this.#audioContext.currentTime;
+		const gain = this.#gainNode.gain;
+		
+		gain.cancelScheduledValues(now);
+		gain.setValueAtTime(gain.value, now);
+		gain.linearRampToValueAtTime(volume, now + duration);
+	}
+	
+	// Get (or lazily create) a named mixer bus feeding this output
+	getBus(name) {
+		let bus = this.#buses.get(name);
+		
+		if (!bus) {
+			bus = new Bus(this.#audioContext, this.#gainNode, name);
+			this.#buses.set(name, bus);
+		}
+		
+		return bus;
 	}
 	
 	// Clean up resources
 	dispose() {
+		for (const bus of this.#buses.values()) {
+			bus.dispose();
+		}
+		this.#buses.clear();
+		
 		if (this.#gainNode) {
 			this.#gainNode.disconnect();
 			this.#gainNode = null;
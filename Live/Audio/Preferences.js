@@ -0,0 +1,68 @@
+// Preferences - persists user audio settings (master volume, mute, bus and sound levels) to storage
+
+// In-memory storage adapter with the same interface as window.localStorage
+export class MemoryStorage {
+	#items = new Map();
+	
+	getItem(key) {
+		return this.#items.has(key) ? this.#items.get(key) : null;
+	}
+	
+	setItem(key, value) {
+		this.#items.set(key, String(value));
+	}
+	
+	removeItem(key) {
+		this.#items.delete(key);
+	}
+}
+
+export class Preferences {
+	#key = null;
+	#storage = null;
+	
+	// The storage adapter must implement getItem, setItem and removeItem:
+	constructor(key, storage) {
+		if (!key) {
+			throw new Error('Preferences requires a key');
+		}
+		
+		this.#key = `live-audio:${key}`;
+		this.#storage = storage;
+	}
+	
+	get key() {
+		return this.#key;
+	}
+	
+	get storage() {
+		return this.#storage;
+	}
+	
+	// Load the saved state, returns null if nothing was saved or it can't be read
+	load() {
+		if (!this.#storage) return null;
+		
+		try {
+			const value = this.#storage.getItem(this.#key);
+			return value ? JSON.parse(value) : null;
+		} catch (error) {
+			console.warn('Failed to load audio preferences:', error.message);
+			return null;
+		}
+	}
+	
+	save(state) {
+		if (!this.#storage) return;
+		
+		try {
+			this.#storage.setItem(this.#key, JSON.stringify(state));
+		} catch (error) {
+			console.warn('Failed to save audio preferences:', error.message);
+		}
+	}
+	
+	clear() {
+		this.#storage?.removeItem(this.#key);
+	}
+}
@@ -0,0 +1,169 @@
+// Remote - applies structured audio commands (e.g. sent by a Ruby Live view) to a Controller
+
+export class RemoteError extends Error {
+	constructor(message, command = null) {
+		super(message);
+		this.name = 'RemoteError';
+		this.command = command;
+	}
+}
+
+function isObject(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function soundProblem(name, controller, key = 'name') {
+	if (typeof name !== 'string' || name.length === 0) return `${key} must be a sound name`;
+	if (!controller.getSound(name)) return `sound '${name}' not found`;
+}
+
+function optionsProblem(options) {
+	if (options !== undefined && !isObject(options)) return 'options must be an object';
+}
+
+// Each command names the Controller method it needs, validates its arguments and applies them:
+const COMMANDS = {
+	play: {
+		method: 'playSound',
+		validate(command, controller) {
+			return soundProblem(command.name, controller) ?? optionsProblem(command.options);
+		},
+		apply(controller, {name, options = {}}) {
+			return controller.playSound(name, options);
+		}
+	},
+	
+	stop: {
+		method: 'stopSound',
+		validate(command, controller) {
+			return soundProblem(command.name, controller);
+		},
+		apply(controller, {name}) {
+			return controller.stopSound(name);
+		}
+	},
+	
+	stopAll: {
+		method: 'stopAllSounds',
+		validate() {},
+		apply(controller) {
+			return controller.stopAllSounds();
+		}
+	},
+	
+	setVolume: {
+		method: 'setVolume',
+		validate(command) {
+			if (typeof command.volume !== 'number' || !Number.isFinite(command.volume) || command.volume < 0) {
+				return 'volume must be a number >= 0';
+			}
+			
+			if (command.bus !== undefined && (typeof command.bus !== 'string' || command.bus.length === 0)) {
+				return 'bus must be a bus name';
+			}
+		},
+		apply(controller, {volume, bus}) {
+			return bus ? controller.setBusVolume(bus, volume) : controller.setVolume(volume);
+		}
+	},
+	
+	addSound: {
+		method: 'loadManifest',
+		validate(command) {
+			if (typeof command.name !== 'string' || command.name.length === 0) return 'name must be a sound name';
+			if (command.entry === undefined) return 'entry must be a manifest entry';
+		},
+		apply(controller, {name, entry}) {
+			return controller.loadManifest({ sounds: { [name]: entry } })[name];
+		}
+	},
+	
+	crossfade: {
+		method: 'crossfade',
+		validate(command, controller) {
+			return soundProblem(command.from, controller, 'from')
+				?? soundProblem(command.to, controller, 'to')
+				?? optionsProblem(command.options);
+		},
+		apply(controller, {from, to, options = {}}) {
+			return controller.crossfade(from, to, options);
+		}
+	},
+};
+
+export class Remote {
+	#controller = null;
+	#onError = null;
+	
+	// options.onError(error, command) is called for every command that fails, e.g. to report it back to the server.
+	constructor(controller, options = {}) {
+		if (!controller) {
+			throw new Error('Remote requires a Controller');
+		}
+		
+		this.#controller = controller;
+		this.#onError = options.onError || null;
+	}
+	
+	get controller() {
+		return this.#controller;
+	}
+	
+	// The names of all supported commands
+	static get commands() {
+		return Object.keys(COMMANDS);
+	}
+	
+	// Handle a command given as an object or JSON string: { command: 'play', name: 'coin', options: { volume: 0.5 } }
+	// Resolves to the result of the Controller call, or undefined if the command failed (which is reported via onError).
+	async handle(message) {
+		let command = message;
+		
+		try {
+			if (typeof message === 'string') {
+				try {
+					command = JSON.parse(message);
+				} catch (error) {
+					throw new RemoteError(`Command is not valid JSON: ${error.message}`);
+				}
+			}
+			
+			if (!isObject(command)) {
+				throw new RemoteError('Command must be an object');
+			}
+			
+			// Commands come from the network, so inherited keys such as 'constructor' must not match:
+			const handler = Object.hasOwn(COMMANDS, command.command) ? COMMANDS[command.command] : null;
+			
+			if (!handler) {
+				throw new RemoteError(`Unknown command '${command.command}' (expected one of: ${Remote.commands.join(', ')})`);
+			}
+			
+			if (typeof this.#controller[handler.method] !== 'function') {
+				throw new RemoteError(`Controller does not support '${command.command}' (missing ${handler.method}())`);
+			}
+			
+			const problem = handler.validate(command, this.#controller);
+			
+			if (problem) {
+				throw new RemoteError(`Invalid '${command.command}' command: ${problem}`);
+			}
+			
+			return await handler.apply(this.#controller, command);
+		} catch (error) {
+			if (error instanceof RemoteError) {
+				error.command = command;
+			}
+			
+			this.#report(error, command);
+		}
+	}
+	
+	#report(error, command) {
+		if (this.#onError) {
+			this.#onError(error, command);
+		} else {
+			console.warn('Audio command failed:', error.message);
+		}
+	}
+}
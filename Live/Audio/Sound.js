@@ -1,7 +1,16 @@
-// Base Sound Class
-export class Sound {
-	createEnvelope(audioContext, gainNode, attack, decay, sustain, release, duration) {
-		const now = audioContext.currentTime;
+// Base Sound Class - dispatches 'loaded' and 'error' events which Controller forwards
+import { Voice } from './Voice.js';
+
+export class Sound extends EventTarget {
+	constructor() {
+		super();
+		
+		// Voices that are currently playing:
+		this.voices = new Set();
+	}
+	
+	createEnvelope(audioContext, gainNode, attack, decay, sustain, release, duration, startTime = audioContext.currentTime) {
+		const now = startTime;
 		const initialGain = gainNode.gain.value;
 		
 		gainNode.gain.setValueAtTime(0, now);
@@ -13,22 +22,36 @@ export class Sound {
 		gainNode.gain.linearRampToValueAtTime(0, now + duration);
 	}
 	
-	// Public interface - takes output and extracts what's needed.
-	play(output) {
+	// Public interface - takes output and per-play options (volume, pitch, pan, delay) and returns a Voice for controlling playback.
+	play(output, options = {}) {
 		// Return early if volume is zero (muted) - subclasses can override this behavior:
-		if (output.volume <= 0) return;
+		if (output.volume <= 0) return null;
+		
+		const voice = new Voice(output, this, options);
+		
+		this.voices.add(voice);
+		voice.ended.then(() => this.voices.delete(voice));
 		
-		this.start(output);
+		// The voice ends once every source registered by start() has ended:
+		voice.wait(this.start(voice, options));
+		
+		return voice;
 	}
 	
-	// Internal method to be implemented by subclasses.
-	start(output) {
+	// Internal method to be implemented by subclasses - connect to voice.input, register sources with voice.addSource() and schedule them at voice.startTime.
+	start(voice, options) {
 		throw new Error('start() method must be implemented by subclass');
 	}
 	
-	// Default stop implementation (no-op for most sounds).
-	stop() {
-		// Most sounds are fire-and-forget, so this is a no-op by default.
-		// Subclasses can override this for continuous sounds like music.
+	// Stop a specific voice, or all playing voices of this sound.
+	stop(voice = null) {
+		if (voice) {
+			voice.stop();
+			return;
+		}
+		
+		for (const voice of this.voices) {
+			voice.stop();
+		}
 	}
 }
@@ -0,0 +1,282 @@
+// Voice - a handle to one playback of a sound, returned by Sound.play and Controller.playSound
+
+export class Voice {
+	#audioContext = null;
+	#gainNode = null;
+	#pannerNode = null;
+	#destination = null;
+	#sources = new Set();
+	#volume = 1.0;
+	#playbackRate = 1.0;
+	#detune = 0;
+	#pan = 0;
+	#sealed = false;
+	#registered = false;
+	#stopped = false;
+	#ended = false;
+	#resolveEnded = null;
+	
+	// Callback invoked with the voice once playback has ended:
+	onended = null;
+	
+	// Callback invoked with the voice after its playback rate or detune changes:
+	onratechange = null;
+	
+	// Options: volume (gain multiplier), pitch (playback rate), pan (-1 to 1) and delay (seconds before starting).
+	constructor(output, sound = null, options = {}) {
+		if (!output || !output.audioContext) {
+			throw new Error('Voice requires an output with a valid AudioContext');
+		}
+		
+		this.sound = sound;
+		this.error = null;
+		
+		// The name the sound was registered under, assigned by Controller:
+		this.name = null;
+		
+		this.#audioContext = output.audioContext;
+		this.#destination = output.input;
+		
+		const { volume = 1.0, pitch = 1.0, pan, delay = 0 } = options;
+		this.#volume = volume;
+		this.#playbackRate = pitch;
+		
+		this.#gainNode = this.#audioContext.createGain();
+		this.#gainNode.gain.value = this.#volume;
+		this.#gainNode.connect(this.#destination);
+		
+		if (pan !== undefined) {
+			this.setPan(pan);
+		}
+		
+		// Sounds schedule their sources relative to this time:
+		this.startTime = this.#audioContext.currentTime + Math.max(0, delay);
+		this.ended = new Promise(resolve => this.#resolveEnded = resolve);
+	}
+	
+	// Synchronous getter for audioContext (same interface as Output)
+	get audioContext() {
+		return this.#audioContext;
+	}
+	
+	// Sounds connect their node graph into this gain node
+	get input() {
+		return this.#gainNode;
+	}
+	
+	// Public getter for gain node (for testing)
+	get gainNode() {
+		return this.#gainNode;
+	}
+	
+	get volume() {
+		return this.#volume;
+	}
+	
+	get playbackRate() {
+		return this.#playbackRate;
+	}
+	
+	get detune() {
+		return this.#detune;
+	}
+	
+	get pan() {
+		return this.#pan;
+	}
+	
+	// True until every source has ended or the voice was stopped
+	get playing() {
+		return !this.#ended;
+	}
+	
+	// True if the voice was ended by stop() or fadeOut() rather than finishing naturally
+	get stopped() {
+		return this.#stopped;
+	}
+	
+	get sources() {
+		return Array.from(this.#sources);
+	}
+	
+	// Register source nodes (oscillators, buffer sources) so the voice can stop and retune them
+	addSource(...sources) {
+		for (const source of sources) {
+			if (this.#ended) {
+				try {
+					source.stop();
+				} catch (error) {
+					// The source was never started
+				}
+				
+				// Keep it silent even if the caller goes on to start it:
+				source.disconnect();
+				continue;
+			}
+			
+			this.#registered = true;
+			this.#sources.add(source);
+			this.#applyRate(source);
+			
+			source.addEventListener('ended', () => this.#sourceEnded(source), { once: true });
+		}
+		
+		return sources[0];
+	}
+	
+	// Remove a source without ending the voice, e.g. when a sound replaces its source node
+	removeSource(source) {
+		this.#sources.delete(source);
+	}
+	
+	// Called once the sound has finished registering sources
+	wait(result) {
+		Promise.resolve(result).then(
+			() => this.#seal(),
+			(error) => {
+				this.error = error;
+				this.stop();
+				
+				// Sources registered before the error may never end, so don't wait for them:
+				this.#end();
+			}
+		);
+	}
+	
+	// Stop all sources at the given context time (defaults to now)
+	stop(when = this.#audioContext.currentTime) {
+		if (this.#ended) return;
+		
+		this.#stopped = true;
+		
+		if (this.#sources.size === 0) {
+			this.#end();
+			return;
+		}
+		
+		for (const source of this.#sources) {
+			try {
+				source.stop(when);
+			} catch (error) {
+				// The source was never started, or has already been stopped
+			}
+		}
+	}
+	
+	// Ramp the voice down to silence and then stop it
+	fadeOut(seconds = 0.1) {
+		if (this.#ended) return this.ended;
+		
+		const now = this.#audioContext.currentTime;
+		const gain = this.#gainNode.gain;
+		
+		gain.cancelScheduledValues(now);
+		gain.setValueAtTime(gain.value, now);
+		gain.linearRampToValueAtTime(0, now + seconds);
+		
+		this.stop(now + seconds);
+		
+		return this.ended;
+	}
+	
+	// Set the voice volume, optionally ramping over the given number of seconds
+	setVolume(volume, rampTime = 0) {
+		this.#volume = volume;
+		
+		if (rampTime > 0) {
+			const now = this.#audioContext.currentTime;
+			const gain = this.#gainNode.gain;
+			
+			gain.cancelScheduledValues(now);
+			gain.setValueAtTime(gain.value, now);
+			gain.linearRampToValueAtTime(volume, now + rampTime);
+		} else {
+			this.#gainNode.gain.value = volume;
+		}
+	}
+	
+	// Set the playback rate (1.0 is the original pitch)
+	setPlaybackRate(playbackRate) {
+		this.#playbackRate = playbackRate;
+		this.#sources.forEach(source => this.#applyRate(source));
+		
+		if (this.onratechange) {
+			this.onratechange(this);
+		}
+	}
+	
+	// Set the stereo position (-1 is left, 1 is right), inserting a panner on first use
+	setPan(pan) {
+		this.#pan = pan;
+		if (this.#ended) return;
+		
+		if (!this.#pannerNode) {
+			if (typeof this.#audioContext.createStereoPanner !== 'function') return;
+			
+			this.#pannerNode = this.#audioContext.createStereoPanner();
+			this.#gainNode.disconnect();
+			this.#gainNode.connect(this.#pannerNode);
+			this.#pannerNode.connect(this.#destination);
+		}
+		
+		this.#pannerNode.pan.value = pan;
+	}
+	
+	// Set the detune amount in cents
+	setDetune(cents) {
+		this.#detune = cents;
+		this.#sources.forEach(source => this.#applyRate(source));
+		
+		if (this.onratechange) {
+			this.onratechange(this);
+		}
+	}
+	
+	#applyRate(source) {
+		if (source.playbackRate) {
+			// Buffer sources support playback rate directly:
+			source.playbackRate.value = this.#playbackRate;
+			if (source.detune) source.detune.value = this.#detune;
+		} else if (source.detune) {
+			// Oscillators only support detune, so convert the rate to cents:
+			source.detune.value = this.#detune + 1200 * Math.log2(this.#playbackRate);
+		}
+	}
+	
+	#sourceEnded(source) {
+		// Sources removed with removeSource() no longer affect the voice:
+		if (!this.#sources.delete(source)) return;
+		
+		if (this.#sealed && this.#sources.size === 0) {
+			this.#end();
+		}
+	}
+	
+	#seal() {
+		this.#sealed = true;
+		
+		if (this.#sources.size === 0) {
+			// Sounds that never register sources (fire-and-forget subclasses) may still be playing through the graph, so leave it connected:
+			this.#end(this.#registered);
+		}
+	}
+	
+	#end(disconnect = true) {
+		if (this.#ended) return;
+		this.#ended = true;
+		
+		if (disconnect) {
+			this.#gainNode.disconnect();
+			
+			if (this.#pannerNode) {
+				this.#pannerNode.disconnect();
+			}
+		}
+		
+		if (this.onended) {
+			this.onended(this);
+		}
+		
+		this.#resolveEnded(this);
+	}
+}
@@ -1,8 +1,10 @@
 import {describe, before, beforeEach, after, it} from 'node:test';
-import {ok, strict, strictEqual, deepStrictEqual, equal} from 'node:assert';
+import {ok, strict, strictEqual, deepStrictEqual, equal, throws, rejects} from 'node:assert';
+
+import {spawnSync} from 'node:child_process';
 
 import {JSDOM} from 'jsdom';
-import {Controller, Sound, Visualizer, Output} from '../../Live/Audio.js';
+import {Controller, Sound, Visualizer, Output, Bus, Ducking, Voice, BufferCache, LoadError, Library, MemoryStorage, ManifestError, Remote, RemoteError} from '../../Live/Audio.js';
 
 // Mock AudioContext for testing
 class MockAudioContext {
@@ -36,6 +38,26 @@ class MockAudioContext {
 		return node;
 	}
 	
+	createStereoPanner() {
+		const node = new MockStereoPanner();
+		this.createdNodes.push(node);
+		return node;
+	}
+	
+	createMediaElementSource(mediaElement) {
+		const node = new MockAudioNode();
+		node.mediaElement = mediaElement;
+		node.context = this;
+		this.createdNodes.push(node);
+		return node;
+	}
+	
+	createDynamicsCompressor() {
+		const node = new MockDynamicsCompressor();
+		this.createdNodes.push(node);
+		return node;
+	}
+	
 	createAnalyser() {
 		const node = new MockAnalyser();
 		this.createdNodes.push(node);
@@ -70,8 +92,120 @@ class MockAudioContext {
 	}
 }
 
-class MockAudioNode {
+class MockAudioParam {
+	// Scheduled automation, so overlapping value curves can be rejected like browsers do:
+	#timeline = [];
+	
+	constructor(value) {
+		this.value = value;
+		this.events = [];
+	}
+	
+	setValueAtTime(value, time) {
+		this.#schedule({ time });
+		this.events.push(['setValueAtTime', value, time]);
+		this.value = value;
+	}
+	
+	linearRampToValueAtTime(value, time) {
+		this.#schedule({ time });
+		this.events.push(['linearRampToValueAtTime', value, time]);
+		this.value = value;
+	}
+	
+	exponentialRampToValueAtTime(value, time) {
+		this.#schedule({ time });
+		this.events.push(['exponentialRampToValueAtTime', value, time]);
+		this.value = value;
+	}
+	
+	setValueCurveAtTime(values, time, duration) {
+		if (this.#timeline.some(event => event.time > time && event.time < time + duration)) {
+			throw new DOMException('Value curve overlaps another automation event', 'NotSupportedError');
+		}
+		
+		this.#schedule({ time, duration, values });
+		this.events.push(['setValueCurveAtTime', values, time, duration]);
+		this.value = values[values.length - 1];
+	}
+	
+	cancelScheduledValues(time) {
+		this.#timeline = this.#timeline.filter(event => event.time < time);
+		this.events.push(['cancelScheduledValues', time]);
+	}
+	
+	// Cuts a value curve short at the given time and holds the value it had reached:
+	cancelAndHoldAtTime(time) {
+		this.#timeline = this.#timeline.filter(event => event.time < time);
+		
+		const curve = this.#timeline.find(event => event.duration && time < event.time + event.duration);
+		if (curve) {
+			const index = Math.floor((time - curve.time) / curve.duration * (curve.values.length - 1));
+			this.value = curve.values[index];
+			curve.duration = time - curve.time;
+		}
+		
+		this.#timeline.push({ time });
+		this.events.push(['cancelAndHoldAtTime', time]);
+	}
+	
+	#schedule(event) {
+		if (this.#timeline.some(curve => curve.duration && event.time >= curve.time && event.time < curve.time + curve.duration)) {
+			throw new DOMException('Automation event inside a value curve', 'NotSupportedError');
+		}
+		
+		this.#timeline.push(event);
+	}
+}
+
+// An AudioContext that starts suspended and only resumes once a user gesture is allowed
+class LockedAudioContext extends MockAudioContext {
+	static allowed = false;
+	
+	constructor() {
+		super();
+		this.state = 'suspended';
+	}
+	
+	async resume() {
+		if (!LockedAudioContext.allowed) {
+			throw new Error('NotAllowedError');
+		}
+		
+		this.state = 'running';
+	}
+}
+
+// A context whose resume() succeeds later, like Safari's when created inside a gesture:
+class SlowResumeAudioContext extends MockAudioContext {
+	// Resumes wait until the test calls these:
+	static pending = [];
+	
+	#events = new EventTarget();
+	
+	constructor() {
+		super();
+		this.state = 'suspended';
+	}
+	
+	addEventListener(...args) {
+		this.#events.addEventListener(...args);
+	}
+	
+	removeEventListener(...args) {
+		this.#events.removeEventListener(...args);
+	}
+	
+	async resume() {
+		await new Promise(resolve => SlowResumeAudioContext.pending.push(resolve));
+		this.state = 'running';
+		this.#events.dispatchEvent(new Event('statechange'));
+	}
+}
+
+class MockAudioNode extends EventTarget {
 	constructor() {
+		super();
 		this.connections = [];
 	}
 	
@@ -94,7 +228,7 @@ class MockAudioNode {
 class MockGainNode extends MockAudioNode {
 	constructor() {
 		super();
-		this.gain = { value: 1.0 };
+		this.gain = new MockAudioParam(1.0);
 	}
 }
 
@@ -102,7 +236,8 @@ class MockOscillator extends MockAudioNode {
 	constructor() {
 		super();
 		this.type = 'sine';
-		this.frequency = { value: 440 };
+		this.frequency = new MockAudioParam(440);
+		this.detune = new MockAudioParam(0);
 		this.started = false;
 		this.stopped = false;
 	}
@@ -115,6 +250,7 @@ class MockOscillator extends MockAudioNode {
 	stop(when = 0) {
 		this.stopped = true;
 		this.stopTime = when;
+		setTimeout(() => this.dispatchEvent(new Event('ended')), 0);
 	}
 }
 
@@ -122,8 +258,27 @@ class MockBiquadFilter extends MockAudioNode {
 	constructor() {
 		super();
 		this.type = 'lowpass';
-		this.frequency = { value: 350 };
-		this.Q = { value: 1 };
+		this.frequency = new MockAudioParam(350);
+		this.Q = new MockAudioParam(1);
+	}
+}
+
+class MockStereoPanner extends MockAudioNode {
+	constructor() {
+		super();
+		this.pan = new MockAudioParam(0);
+	}
+}
+
+class MockDynamicsCompressor extends MockAudioNode {
+	constructor() {
+		super();
+		this.threshold = new MockAudioParam(-24);
+		this.knee = new MockAudioParam(30);
+		this.ratio = new MockAudioParam(12);
+		this.attack = new MockAudioParam(0.003);
+		this.release = new MockAudioParam(0.25);
+		this.reduction = 0;
 	}
 }
 
@@ -150,22 +305,32 @@ class MockBufferSource extends MockAudioNode {
 		this.loop = false;
 		this.loopStart = 0;
 		this.loopEnd = 0;
+		this.playbackRate = new MockAudioParam(1.0);
+		this.detune = new MockAudioParam(0);
 		this.onended = null;
 		this.started = false;
 		this.stopped = false;
 	}
 	
-	start(when = 0) {
+	start(when = 0, offset = 0, duration = undefined) {
 		this.started = true;
 		this.startTime = when;
+		this.offset = offset;
+		this.duration = duration;
 	}
 	
 	stop(when = 0) {
+		// Like browsers, stopping a source that was never started is an error:
+		if (!this.started) {
+			throw new DOMException('Cannot stop a source that has not been started', 'InvalidStateError');
+		}
+		
 		this.stopped = true;
 		this.stopTime = when;
-		if (this.onended) {
-			setTimeout(this.onended, 0);
-		}
+		setTimeout(() => {
+			if (this.onended) this.onended();
+			this.dispatchEvent(new Event('ended'));
+		}, 0);
 	}
 }
 
@@ -187,9 +352,36 @@ class MockAudioBuffer {
 	}
 }
 
+// An offline fetch for samples, injected through the Controller or SampleSound fetch option.
+// Every URL is served as `bytes` of audio unless respond(url, options) returns another response, and requests are recorded.
+function serveAudio({bytes = 8, respond = () => null} = {}) {
+	const requests = [];
+	
+	const fetch = async (url, options) => {
+		requests.push(url);
+		return await respond(url, options) ?? { ok: true, arrayBuffer: async () => new ArrayBuffer(bytes) };
+	};
+	
+	return Object.assign(fetch, { requests });
+}
+
+const NOT_FOUND = { ok: false, status: 404, statusText: 'Not Found' };
+
+// A window whose AudioContext decodes with the given function:
+function decodingWindow(decodeAudioData) {
+	return {
+		AudioContext: class extends MockAudioContext {
+			async decodeAudioData(arrayBuffer) {
+				return decodeAudioData(arrayBuffer);
+			}
+		}
+	};
+}
+
 describe('Live Audio', function () {
 	let dom;
 	let mockAudioContext;
+	let originalFetch;
 	
 	before(function () {
 		dom = new JSDOM('<!DOCTYPE html><html><body></body></html>');
@@ -199,6 +391,12 @@ describe('Live Audio', function () {
 		globalThis.webkitAudioContext = MockAudioContext;
 		globalThis.document = dom.window.document;
 		globalThis.requestAnimationFrame = (callback) => setTimeout(callback, 16);
+		
+		// Tests inject their own fetch, so a sound that reaches the network is a mistake:
+		originalFetch = globalThis.fetch;
+		globalThis.fetch = async (url) => {
+			throw new Error(`Unexpected network request for ${url}`);
+		};
 	});
 	
 	beforeEach(function () {
@@ -212,6 +410,7 @@ describe('Live Audio', function () {
 		// Clean up globals
 		delete globalThis._liveAudioController;
 		delete globalThis._liveAudioContext;
+		globalThis.fetch = originalFetch;
 	});
 	
 	it('should create a Controller instance', async function () {
@@ -247,6 +446,16 @@ describe('Live Audio', function () {
 		strictEqual(controller.window, globalThis);
 	});
 	
+	it('should import modules on their own without circular initialization errors', function () {
+		// Modules already loaded by this test file are cached, so each one is imported in a fresh process:
+		for (const path of ['Controller.js', 'Manifest.js', 'Library.js']) {
+			const url = new URL(`../../Live/Audio/${path}`, import.meta.url);
+			const result = spawnSync(process.execPath, ['--input-type=module', '--eval', `await import(${JSON.stringify(url.href)});`], { encoding: 'utf8' });
+			
+			strictEqual(result.status, 0, result.stderr);
+		}
+	});
+	
 	it('should create Controller with custom window', async function () {
 		const {Audio} = await import('../../Live/Audio.js');
 		const mockWindow = { 
@@ -616,4 +825,1818 @@ describe('Live Audio', function () {
 		strictEqual(receivedAudioContext, output.audioContext);
 		strictEqual(receivedAudioContext.state, 'running');
 	});
+	
+	it('should route sounds through named buses', async function () {
+		const controller = new Controller();
+		
+		class TestSound extends Sound {
+			start(voice) { this.destination = voice.input.connections[0]; }
+		}
+		
+		const music = controller.addSound('music', new TestSound(), { bus: 'music' });
+		const coin = controller.addSound('coin', new TestSound());
+		
+		await controller.playSound('music');
+		await controller.playSound('coin');
+		
+		const output = await controller.acquireOutput();
+		const bus = output.getBus('music');
+		ok(bus instanceof Bus);
+		strictEqual(music.destination, bus.input);
+		ok(bus.input.connections.includes(output.input));
+		strictEqual(coin.destination, output.input);
+		
+		deepStrictEqual(controller.listBuses(), ['music', 'sfx', 'ui', 'voice']);
+	});
+	
+	it('should control bus volume and mute independently', async function () {
+		const controller = new Controller();
+		
+		class TestSound extends Sound {
+			start(output) { this.played = true; }
+		}
+		
+		const effect = controller.addSound('effect', new TestSound(), { bus: 'sfx' });
+		
+		await controller.setBusVolume('sfx', 0.25);
+		await controller.setBusMuted('sfx', true);
+		
+		const output = await controller.acquireOutput();
+		const bus = output.getBus('sfx');
+		strictEqual(controller.getBusVolume('sfx'), 0.25);
+		strictEqual(bus.gainNode.gain.value, 0);
+		
+		await controller.playSound('effect');
+		ok(!effect.played);
+		
+		await controller.setBusMuted('sfx', false);
+		strictEqual(bus.gainNode.gain.value, 0.25);
+		
+		await controller.playSound('effect');
+		ok(effect.played);
+	});
+	
+	it('should restore bus levels when the output is re-acquired', async function () {
+		const controller = new Controller();
+		
+		await controller.setBusVolume('music', 0.4);
+		await controller.setBusMuted('ui', true);
+		
+		controller.dispose();
+		
+		const output = await controller.acquireOutput();
+		strictEqual(output.getBus('music').volume, 0.4);
+		strictEqual(output.getBus('ui').muted, true);
+		strictEqual(output.getBus('ui').gainNode.gain.value, 0);
+	});
+	
+	it('should return a voice from playSound', async function () {
+		const controller = new Controller();
+		controller.addSound('laser', new Library.LaserSound());
+		
+		const voice = await controller.playSound('laser');
+		ok(voice instanceof Voice);
+		ok(voice.playing);
+		strictEqual(voice.sources.length, 1);
+		
+		let endedVoice = null;
+		voice.onended = (voice) => endedVoice = voice;
+		
+		voice.stop();
+		strictEqual(await voice.ended, voice);
+		strictEqual(endedVoice, voice);
+		ok(!voice.playing);
+		ok(voice.stopped);
+	});
+	
+	it('should fade out a voice', async function () {
+		const controller = new Controller();
+		const output = await controller.acquireOutput();
+		output.audioContext.currentTime = 2;
+		
+		const voice = new Library.BeepSound().play(output);
+		voice.fadeOut(0.5);
+		
+		const [oscillator] = voice.sources;
+		strictEqual(oscillator.stopTime, 2.5);
+		deepStrictEqual(voice.gainNode.gain.events.at(-1), ['linearRampToValueAtTime', 0, 2.5]);
+		
+		await voice.ended;
+		ok(voice.stopped);
+	});
+	
+	it('should control voice volume, playback rate and detune', async function () {
+		const controller = new Controller();
+		controller.addSound('coin', new Library.CoinSound());
+		
+		const voice = await controller.playSound('coin');
+		const [osc1, osc2] = voice.sources;
+		
+		voice.setVolume(0.5);
+		strictEqual(voice.gainNode.gain.value, 0.5);
+		
+		voice.setPlaybackRate(2.0);
+		strictEqual(osc1.detune.value, 1200);
+		strictEqual(osc2.detune.value, 1200);
+		
+		voice.setDetune(-100);
+		strictEqual(osc1.detune.value, 1100);
+		
+		voice.stop();
+		await voice.ended;
+	});
+	
+	it('should stop every voice of a sound', async function () {
+		const controller = new Controller();
+		const jump = controller.addSound('jump', new Library.JumpSound());
+		
+		const voice1 = await controller.playSound('jump');
+		const voice2 = await controller.playSound('jump');
+		strictEqual(jump.voices.size, 2);
+		
+		controller.stopSound('jump');
+		await Promise.all([voice1.ended, voice2.ended]);
+		strictEqual(jump.voices.size, 0);
+	});
+	
+	it('should end voices of sounds without sources', async function () {
+		class TestSound extends Sound {
+			start(output) { this.played = true; }
+		}
+		
+		const controller = new Controller();
+		const output = await controller.acquireOutput();
+		const voice = new TestSound().play(output);
+		
+		await voice.ended;
+		ok(!voice.playing);
+		ok(!voice.stopped);
+	});
+	
+	it('should keep fire-and-forget sounds connected after their voice ends', async function () {
+		// Written the way custom sounds were before voices existed:
+		class CustomSound extends Sound {
+			start(output) {
+				const audioContext = output.audioContext;
+				const oscillator = audioContext.createOscillator();
+				const gainNode = audioContext.createGain();
+				
+				this.createEnvelope(audioContext, gainNode, 0.01, 0.1, 0.5, 0.2, 0.5);
+				
+				oscillator.connect(gainNode);
+				gainNode.connect(output.input);
+				
+				oscillator.start();
+				oscillator.stop(audioContext.currentTime + 0.5);
+				
+				this.gainNode = gainNode;
+			}
+		}
+		
+		const controller = new Controller();
+		const sound = controller.addSound('tone', new CustomSound());
+		const voice = await controller.playSound('tone');
+		
+		await voice.ended;
+		strictEqual(sound.gainNode.connections[0], voice.input);
+		strictEqual(voice.input.connections.length, 1);
+	});
+	
+	it('should apply per-play options to synthesized sounds', async function () {
+		const controller = new Controller();
+		const output = await controller.acquireOutput();
+		output.audioContext.currentTime = 1;
+		
+		controller.addSound('coin', new Library.CoinSound());
+		
+		const voice = await controller.playSound('coin', { volume: 0.5, pitch: 2.0, pan: -0.3, delay: 0.1 });
+		const [osc1, osc2] = voice.sources;
+		
+		strictEqual(voice.gainNode.gain.value, 0.5);
+		strictEqual(voice.startTime, 1.1);
+		strictEqual(osc1.startTime, 1.1);
+		strictEqual(osc2.stopTime, 1.1 + 0.15);
+		strictEqual(osc1.detune.value, 1200);
+		
+		const panner = voice.gainNode.connections[0];
+		strictEqual(panner.pan.value, -0.3);
+		ok(panner.connections.includes(output.input));
+		
+		voice.stop();
+		await voice.ended;
+	});
+	
+	it('should apply per-play options to sample sounds', async function () {
+		const controller = new Controller(globalThis, { fetch: serveAudio() });
+		const output = await controller.acquireOutput();
+		output.audioContext.currentTime = 3;
+		
+		const sample = controller.addSound('sample', new Library.SampleSound('/sample.mp3'));
+		const voice = await controller.playSound('sample', { pitch: 0.5, delay: 0.25 });
+		
+		// Wait for the sample to load and start:
+		while (!sample.source) await new Promise(resolve => setTimeout(resolve, 0));
+		
+		strictEqual(sample.source.startTime, 3.25);
+		strictEqual(sample.source.playbackRate.value, 0.5);
+		
+		voice.stop();
+		await voice.ended;
+	});
+	
+	it('should steal the oldest voice when a sound reaches maxVoices', async function () {
+		const controller = new Controller();
+		controller.addSound('explosion', new Library.ExplosionSound(), { maxVoices: 2 });
+		
+		const voice1 = await controller.playSound('explosion');
+		const voice2 = await controller.playSound('explosion');
+		const voice3 = await controller.playSound('explosion');
+		
+		ok(voice1.stopped);
+		ok(!voice2.stopped);
+		ok(!voice3.stopped);
+		
+		// Stolen voices get a short fade instead of a hard stop:
+		deepStrictEqual(voice1.gainNode.gain.events.at(-1), ['linearRampToValueAtTime', 0, 0.02]);
+		
+		// Noise buffers are shared between voices:
+		strictEqual(voice2.sources[3].buffer, voice3.sources[3].buffer);
+		
+		controller.stopAllSounds();
+		await Promise.all([voice1.ended, voice2.ended, voice3.ended]);
+	});
+	
+	it('should steal the quietest voice or reject new voices', async function () {
+		const controller = new Controller();
+		controller.addSound('laser', new Library.LaserSound(), { maxVoices: 2, steal: 'quietest' });
+		controller.addSound('beep', new Library.BeepSound(), { maxVoices: 1, steal: 'reject' });
+		
+		const loud = await controller.playSound('laser', { volume: 1.0 });
+		const quiet = await controller.playSound('laser', { volume: 0.2 });
+		const laser = await controller.playSound('laser', { volume: 0.8 });
+		
+		ok(!loud.stopped);
+		ok(quiet.stopped);
+		ok(!laser.stopped);
+		
+		const beep = await controller.playSound('beep');
+		ok(beep);
+		strictEqual(await controller.playSound('beep'), undefined);
+		ok(!beep.stopped);
+		
+		controller.stopAllSounds();
+		await Promise.all([loud.ended, quiet.ended, laser.ended, beep.ended]);
+	});
+	
+	it('should enforce a global voice budget', async function () {
+		const controller = new Controller(globalThis, { maxVoices: 2 });
+		controller.addSound('jump', new Library.JumpSound());
+		controller.addSound('coin', new Library.CoinSound());
+		
+		const jump = await controller.playSound('jump');
+		const coin1 = await controller.playSound('coin');
+		const coin2 = await controller.playSound('coin');
+		
+		ok(jump.stopped);
+		strictEqual(controller.getVoices().filter(voice => !voice.stopped).length, 2);
+		deepStrictEqual(controller.getVoices('coin'), [coin1, coin2]);
+		
+		controller.stopAllSounds();
+		await Promise.all([jump.ended, coin1.ended, coin2.ended]);
+		strictEqual(controller.getVoices().length, 0);
+	});
+	
+	it('should check the global budget before stealing for the per-sound limit', async function () {
+		const controller = new Controller(globalThis, { maxVoices: 2, steal: 'reject' });
+		controller.addSound('jump', new Library.JumpSound());
+		controller.addSound('coin', new Library.CoinSound(), { maxVoices: 1, steal: 'oldest' });
+		controller.addSound('beep', new Library.BeepSound(), { maxVoices: 1, steal: 'oldest' });
+		
+		const coin = await controller.playSound('coin');
+		const jump = await controller.playSound('jump');
+		
+		// The budget is full and a new sound can't take anyone's place:
+		strictEqual(await controller.playSound('beep'), undefined);
+		ok(!coin.stopped);
+		ok(!jump.stopped);
+		
+		// Stealing the old coin frees its place in the budget for the new one:
+		const next = await controller.playSound('coin');
+		ok(coin.stopped);
+		ok(!jump.stopped);
+		ok(next.playing);
+		
+		controller.stopAllSounds();
+		await Promise.all([coin.ended, jump.ended, next.ended]);
+	});
+	
+	it('should keep single-instance music playing when retriggered at its voice limit', async function () {
+		const controller = new Controller(globalThis, { fetch: serveAudio() });
+		const music = controller.addSound('music', new Library.BackgroundMusicSound('/music.mp3'), { maxVoices: 1 });
+		
+		const first = await controller.playSound('music');
+		while (!music.isPlaying) await new Promise(resolve => setTimeout(resolve, 0));
+		
+		await controller.playSound('music');
+		await new Promise(resolve => setTimeout(resolve, 0));
+		
+		ok(first.playing);
+		ok(!first.stopped);
+		ok(music.isPlaying);
+		
+		music.stop();
+		await first.ended;
+	});
+	
+	it('should drop retriggers within the cooldown', async function () {
+		const controller = new Controller();
+		const output = await controller.acquireOutput();
+		const audioContext = output.audioContext;
+		controller.addSound('blip', new Library.BlipSound(), { cooldown: 0.1 });
+		
+		audioContext.currentTime = 1.0;
+		const voice1 = await controller.playSound('blip');
+		ok(voice1);
+		
+		audioContext.currentTime = 1.05;
+		strictEqual(await controller.playSound('blip'), undefined);
+		
+		audioContext.currentTime = 1.2;
+		const voice2 = await controller.playSound('blip');
+		ok(voice2);
+		ok(voice1 !== voice2);
+		
+		controller.stopAllSounds();
+		await Promise.all([voice1.ended, voice2.ended]);
+	});
+	
+	it('should coalesce calls within the coalesce window', async function () {
+		const controller = new Controller(globalThis, { coalesce: 50 });
+		const output = await controller.acquireOutput();
+		const audioContext = output.audioContext;
+		controller.addSound('beep', new Library.BeepSound());
+		
+		audioContext.currentTime = 2.0;
+		const voice1 = await controller.playSound('beep');
+		
+		audioContext.currentTime = 2.03;
+		strictEqual(await controller.playSound('beep'), voice1);
+		strictEqual(controller.getVoices('beep').length, 1);
+		
+		audioContext.currentTime = 2.1;
+		const voice2 = await controller.playSound('beep');
+		ok(voice2 !== voice1);
+		
+		controller.stopAllSounds();
+		await Promise.all([voice1.ended, voice2.ended]);
+	});
+	
+	describe('autoplay unlock', function () {
+		let window;
+		
+		beforeEach(function () {
+			window = new JSDOM('<!DOCTYPE html>').window;
+			window.AudioContext = LockedAudioContext;
+			LockedAudioContext.allowed = false;
+		});
+		
+		it('should unlock when a pending resume succeeds without another gesture', async function () {
+			window.AudioContext = SlowResumeAudioContext;
+			
+			const controller = new Controller(window);
+			controller.addSound('coin', new Library.CoinSound());
+			
+			const played = controller.playSound('coin');
+			await new Promise(resolve => setTimeout(resolve, 0));
+			ok(controller.locked);
+			
+			SlowResumeAudioContext.pending.splice(0).forEach(resolve => resolve());
+			const voice = await played;
+			ok(!controller.locked);
+			ok(voice);
+			strictEqual(voice.audioContext.state, 'running');
+			
+			controller.dispose();
+		});
+		
+		it('should queue sounds until the first user gesture', async function () {
+			const controller = new Controller(window);
+			const events = [];
+			controller.addEventListener('locked', () => events.push('locked'));
+			controller.addEventListener('unlocked', () => events.push('unlocked'));
+			controller.addSound('coin', new Library.CoinSound());
+			
+			let voice = null;
+			const played = controller.playSound('coin').then(result => voice = result);
+			
+			// Wait for the request to be queued:
+			await new Promise(resolve => setTimeout(resolve, 0));
+			ok(controller.locked);
+			strictEqual(voice, null);
+			deepStrictEqual(events, ['locked']);
+			
+			LockedAudioContext.allowed = true;
+			window.dispatchEvent(new window.Event('pointerdown'));
+			
+			await played;
+			ok(voice instanceof Voice);
+			ok(!controller.locked);
+			deepStrictEqual(events, ['locked', 'unlocked']);
+			
+			voice.stop();
+			await voice.ended;
+		});
+		
+		it('should drop sounds while locked with the drop policy', async function () {
+			const controller = new Controller(window, { lockedPolicy: 'drop' });
+			controller.addSound('coin', new Library.CoinSound());
+			
+			strictEqual(await controller.playSound('coin'), undefined);
+			ok(controller.locked);
+			
+			// Gestures that fail to resume the context keep the controller locked:
+			window.dispatchEvent(new window.Event('keydown'));
+			await new Promise(resolve => setTimeout(resolve, 0));
+			ok(controller.locked);
+			
+			LockedAudioContext.allowed = true;
+			window.dispatchEvent(new window.Event('keydown'));
+			await new Promise(resolve => setTimeout(resolve, 0));
+			ok(!controller.locked);
+			
+			const voice = await controller.playSound('coin');
+			ok(voice instanceof Voice);
+			
+			voice.stop();
+			await voice.ended;
+		});
+	});
+	
+	describe('page visibility', function () {
+		let window;
+		
+		beforeEach(function () {
+			window = new JSDOM('<!DOCTYPE html>').window;
+			window.AudioContext = MockAudioContext;
+		});
+		
+		function setVisibilityState(state) {
+			Object.defineProperty(window.document, 'visibilityState', { value: state, configurable: true });
+			window.document.dispatchEvent(new window.Event('visibilitychange', { bubbles: true }));
+		}
+		
+		it('should fade out and suspend the context while hidden', async function () {
+			const controller = new Controller(window, { pauseWhenHidden: { fadeTime: 0.01 } });
+			const output = await controller.acquireOutput();
+			const audioContext = output.audioContext;
+			
+			setVisibilityState('hidden');
+			ok(controller.hidden);
+			strictEqual(output.gainNode.gain.value, 0);
+			
+			await new Promise(resolve => setTimeout(resolve, 20));
+			strictEqual(audioContext.state, 'suspended');
+			
+			// Suspension while hidden is not an autoplay lock:
+			await controller.acquireOutput();
+			ok(!controller.locked);
+			
+			setVisibilityState('visible');
+			await new Promise(resolve => setTimeout(resolve, 0));
+			ok(!controller.hidden);
+			strictEqual(audioContext.state, 'running');
+			strictEqual(output.gainNode.gain.value, 1.0);
+			
+			controller.dispose();
+		});
+		
+		it('should keep exempt buses playing while hidden', async function () {
+			const controller = new Controller(window, { pauseWhenHidden: { exemptBuses: ['voice'] } });
+			const output = await controller.acquireOutput();
+			controller.addSound('dialogue', new Library.HowlSound(), { bus: 'voice' });
+			controller.addSound('effect', new Library.LaserSound(), { bus: 'sfx' });
+			
+			const dialogue = await controller.playSound('dialogue');
+			const effect = await controller.playSound('effect', { volume: 0.7 });
+			
+			window.dispatchEvent(new window.Event('pagehide'));
+			ok(controller.hidden);
+			strictEqual(output.audioContext.state, 'running');
+			strictEqual(dialogue.gainNode.gain.value, 1.0);
+			strictEqual(effect.gainNode.gain.value, 0);
+			
+			window.dispatchEvent(new window.Event('pageshow'));
+			ok(!controller.hidden);
+			strictEqual(effect.gainNode.gain.value, 0.7);
+			
+			controller.stopAllSounds();
+			await Promise.all([dialogue.ended, effect.ended]);
+			controller.dispose();
+		});
+	});
+	
+	it('should close the shared AudioContext when the last holder is disposed', async function () {
+		const controller1 = new Controller();
+		const controller2 = new Controller();
+		
+		const output1 = await controller1.acquireOutput();
+		await controller2.acquireOutput();
+		const audioContext = output1.audioContext;
+		
+		deepStrictEqual(Controller.getAudioContextHolders(), [controller1, controller2]);
+		strictEqual(controller1.audioContext, audioContext);
+		
+		controller1.dispose();
+		await new Promise(resolve => setTimeout(resolve, 0));
+		deepStrictEqual(Controller.getAudioContextHolders(), [controller2]);
+		strictEqual(audioContext.state, 'running');
+		
+		controller2.dispose();
+		await new Promise(resolve => setTimeout(resolve, 0));
+		strictEqual(audioContext.state, 'closed');
+		strictEqual(globalThis._liveAudioContext, null);
+		deepStrictEqual(Controller.getAudioContextHolders(), []);
+	});
+	
+	it('should suspend the shared AudioContext when configured', async function () {
+		const controller = new Controller(globalThis, { contextRelease: 'suspend' });
+		const output = await controller.acquireOutput();
+		const audioContext = output.audioContext;
+		
+		controller.dispose();
+		await new Promise(resolve => setTimeout(resolve, 0));
+		strictEqual(audioContext.state, 'suspended');
+		strictEqual(globalThis._liveAudioContext, audioContext);
+		
+		// The next holder resumes and reuses it:
+		const other = new Controller();
+		strictEqual((await other.acquireOutput()).audioContext, audioContext);
+		strictEqual(audioContext.state, 'running');
+		ok(!other.locked);
+	});
+	
+	it('should emit sound lifecycle events', async function () {
+		const controller = new Controller();
+		const events = [];
+		
+		for (const type of ['sound:start', 'sound:end', 'sound:stop']) {
+			controller.addEventListener(type, (event) => events.push([type, event.detail.name, event.detail.voice]));
+		}
+		
+		controller.addSound('jump', new Library.JumpSound());
+		controller.addSound('laser', new Library.LaserSound());
+		
+		const jump = await controller.playSound('jump');
+		const laser = await controller.playSound('laser');
+		
+		// The mock oscillator ends as soon as it is stopped, which the jump sound schedules itself:
+		await jump.ended;
+		laser.stop();
+		await laser.ended;
+		
+		deepStrictEqual(events, [
+			['sound:start', 'jump', jump],
+			['sound:start', 'laser', laser],
+			['sound:end', 'jump', jump],
+			['sound:stop', 'laser', laser],
+		]);
+	});
+	
+	it('should emit sound:error when a sound fails to start', async function () {
+		class BrokenSound extends Sound {
+			async start(voice) {
+				throw new Error('Broken!');
+			}
+		}
+		
+		const controller = new Controller();
+		controller.addSound('broken', new BrokenSound());
+		
+		const errored = new Promise(resolve => controller.addEventListener('sound:error', resolve, { once: true }));
+		await controller.playSound('broken');
+		
+		const event = await errored;
+		strictEqual(event.detail.name, 'broken');
+		strictEqual(event.detail.error.message, 'Broken!');
+	});
+	
+	it('should end a voice whose sound fails after registering a source', async function () {
+		class HalfStartedSound extends Sound {
+			async start(voice) {
+				const oscillator = voice.audioContext.createOscillator();
+				voice.addSource(oscillator);
+				oscillator.start();
+				
+				throw new Error('Broken!');
+			}
+		}
+		
+		const controller = new Controller(globalThis, { maxVoices: 1, steal: 'reject' });
+		controller.addSound('broken', new HalfStartedSound());
+		controller.addSound('beep', new Library.BeepSound());
+		
+		const errored = new Promise(resolve => controller.addEventListener('sound:error', resolve, { once: true }));
+		const voice = await controller.playSound('broken');
+		
+		await voice.ended;
+		strictEqual(voice.playing, false);
+		strictEqual(voice.error.message, 'Broken!');
+		strictEqual((await errored).detail.voice, voice);
+		
+		// The failed voice no longer counts against the limit:
+		ok(await controller.playSound('beep'));
+	});
+	
+	it('should not start a sample whose voice was stopped while it was loading', async function () {
+		let respond = null;
+		const fetch = () => new Promise(resolve => respond = () => resolve({ ok: true, arrayBuffer: async () => new ArrayBuffer(8) }));
+		
+		const controller = new Controller(globalThis, { fetch });
+		const music = controller.addSound('music', new Library.BackgroundMusicSound('/music.mp3'));
+		
+		const voice = await controller.playSound('music');
+		controller.stopSound('music');
+		await voice.ended;
+		
+		respond();
+		await music.load(controller.audioContext);
+		await new Promise(resolve => setTimeout(resolve, 0));
+		
+		strictEqual(music.isPlaying, false);
+		strictEqual(music.source, null);
+		
+		// The next request plays normally:
+		const next = await controller.playSound('music');
+		await new Promise(resolve => setTimeout(resolve, 0));
+		ok(next.playing);
+		ok(music.source.started);
+	});
+	
+	it('should emit sample:loaded and volume:change events', async function () {
+		const controller = new Controller(globalThis, { fetch: serveAudio() });
+		const events = [];
+		
+		controller.addEventListener('sample:loaded', (event) => events.push(['sample:loaded', event.detail.name, event.detail.url]));
+		controller.addEventListener('volume:change', (event) => events.push(['volume:change', event.detail.bus, event.detail.volume]));
+		
+		const sample = controller.addSound('music', new Library.BackgroundMusicSound('/music.mp3'), { bus: 'music' });
+		const output = await controller.acquireOutput();
+		await sample.loadAudioBuffer(output.audioContext);
+		
+		await controller.setVolume(0.5);
+		await controller.setBusVolume('music', 0.25);
+		
+		deepStrictEqual(events, [
+			['sample:loaded', 'music', '/music.mp3'],
+			['volume:change', undefined, 0.5],
+			['volume:change', 'music', 0.25],
+		]);
+		
+		// Removed sounds no longer forward events:
+		controller.removeSound('music');
+		await sample.loadAudioBuffer(output.audioContext);
+		strictEqual(events.length, 3);
+	});
+	
+	it('should preload samples with limited concurrency and report progress', async function () {
+		let active = 0, peak = 0;
+		
+		const fetch = serveAudio({ bytes: 16, respond: async (url) => {
+			active += 1;
+			peak = Math.max(peak, active);
+			await new Promise(resolve => setTimeout(resolve, 5));
+			active -= 1;
+			
+			if (url === '/missing.mp3') return NOT_FOUND;
+		}});
+		
+		const controller = new Controller(globalThis, { fetch });
+		const progress = [];
+		
+		controller.addEventListener('preload:progress', (event) => {
+			const {name, loaded, total, bytes, failed} = event.detail;
+			progress.push({ name, loaded, total, bytes, failed });
+		});
+		
+		controller.addSound('coin', new Library.CoinSound());
+		controller.addSound('shot', new Library.SampleSound('/shot.mp3'));
+		controller.addSound('hit', new Library.SampleSound('/hit.mp3'));
+		controller.addSound('missing', new Library.SampleSound('/missing.mp3'));
+		
+		const results = await controller.preload(undefined, { concurrency: 2 });
+		
+		strictEqual(peak, 2);
+		deepStrictEqual(results.map(({name, status}) => [name, status]), [
+			['shot', 'fulfilled'],
+			['hit', 'fulfilled'],
+			['missing', 'rejected'],
+		]);
+		strictEqual(results[2].reason.message, 'HTTP 404: Not Found');
+		ok(controller.getSound('shot').audioBuffer);
+		
+		deepStrictEqual(progress, [
+			{ name: 'shot', loaded: 1, total: 3, bytes: 16, failed: 0 },
+			{ name: 'hit', loaded: 2, total: 3, bytes: 32, failed: 0 },
+			{ name: 'missing', loaded: 3, total: 3, bytes: 32, failed: 1 },
+		]);
+		
+		// Unknown sounds are rejected without loading anything:
+		const [unknown] = await controller.preload(['nope']);
+		strictEqual(unknown.status, 'rejected');
+	});
+	
+	it('should retry failed loads with backoff and report typed load errors', async function () {
+		const fetch = serveAudio({ respond: (url, {signal}) => {
+			if (url === '/slow.mp3') {
+				// Never responds until aborted:
+				return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('Aborted'))));
+			}
+			
+			if (url === '/flaky.mp3' && fetch.requests.filter(request => request === url).length < 3) {
+				return { ok: false, status: 503, statusText: 'Service Unavailable' };
+			}
+			
+			if (url === '/missing.mp3') return NOT_FOUND;
+		}});
+		const requests = fetch.requests;
+		
+		const controller = new Controller(globalThis, { fetch, loading: { retries: 2, retryDelay: 1, timeout: 20 } });
+		const errors = [];
+		controller.addEventListener('load:error', (event) => errors.push([event.detail.name, event.detail.error.kind]));
+		
+		controller.addSound('flaky', new Library.SampleSound('/flaky.mp3'));
+		controller.addSound('missing', new Library.SampleSound('/missing.mp3'));
+		controller.addSound('slow', new Library.SampleSound('/slow.mp3', 0.8, { retries: 0 }));
+		
+		const results = await controller.preload();
+		deepStrictEqual(results.map(({status}) => status), ['fulfilled', 'rejected', 'rejected']);
+		
+		// Server errors are retried, missing files are not:
+		strictEqual(requests.filter(request => request === '/flaky.mp3').length, 3);
+		strictEqual(requests.filter(request => request === '/missing.mp3').length, 1);
+		
+		const missing = results[1].reason;
+		ok(missing instanceof LoadError);
+		strictEqual(missing.kind, 'network');
+		strictEqual(missing.status, 404);
+		strictEqual(missing.url, '/missing.mp3');
+		strictEqual(missing.retryable, false);
+		
+		strictEqual(results[2].reason.kind, 'timeout');
+		deepStrictEqual(errors, [['missing', 'network'], ['slow', 'timeout']]);
+	});
+	
+	it('should skip or fail playback of samples that cannot be loaded', async function () {
+		const window = decodingWindow(async () => { throw new Error('Unable to decode audio data'); });
+		const controller = new Controller(window, { fetch: serveAudio() });
+		
+		controller.addSound('lenient', new Library.SampleSound('/corrupt.mp3'));
+		controller.addSound('strict', new Library.SampleSound('/corrupt.mp3', 0.8, { strict: true }));
+		
+		const loadErrors = [];
+		controller.addEventListener('load:error', (event) => loadErrors.push(event.detail.error));
+		
+		// Without a buffer there is nothing to play, so the voice ends quietly:
+		const lenient = await controller.playSound('lenient');
+		await lenient.ended;
+		strictEqual(lenient.error, null);
+		strictEqual(controller.getSound('lenient').audioBuffer, null);
+		
+		// Strict sounds reject with the load error, without starting a voice:
+		const started = [];
+		controller.addEventListener('sound:start', (event) => started.push(event.detail.name));
+		
+		await rejects(controller.playSound('strict'), (error) => error instanceof LoadError && error.kind === 'decode');
+		deepStrictEqual(started, []);
+		
+		strictEqual(loadErrors.length, 2);
+		ok(loadErrors.every(error => error.kind === 'decode' && !error.retryable));
+	});
+	
+	it('should load samples from in-memory audio and a custom fetch', async function () {
+		const decoded = [];
+		const window = decodingWindow(async (arrayBuffer) => {
+			decoded.push(Array.from(new Uint8Array(arrayBuffer)));
+			return new MockAudioBuffer(2, 44100, 44100);
+		});
+		
+		const fetch = serveAudio({ respond: () => ({ ok: true, arrayBuffer: async () => new Uint8Array([9]).buffer }) });
+		const controller = new Controller(window, { fetch });
+		
+		const bytes = new Uint8Array([1, 2, 3]);
+		const audioBuffer = new MockAudioBuffer(1, 4410, 44100);
+		
+		const sounds = {
+			bytes: new Library.SampleSound(bytes.buffer),
+			view: new Library.SampleSound(bytes.subarray(1)),
+			blob: new Library.SampleSound(new Blob([bytes], { type: 'audio/wav' })),
+			base64: new Library.SampleSound('data:audio/wav;base64,BAUG'),
+			escaped: new Library.SampleSound('data:audio/wav,%07%08'),
+			fetched: new Library.SampleSound('/generated.wav'),
+			decoded: new Library.SampleSound(audioBuffer),
+		};
+		
+		for (const [name, sound] of Object.entries(sounds)) {
+			controller.addSound(name, sound);
+		}
+		
+		const results = await controller.preload(undefined, { concurrency: 1 });
+		ok(results.every(result => result.status === 'fulfilled'));
+		
+		deepStrictEqual(decoded, [[1, 2, 3], [2, 3], [1, 2, 3], [4, 5, 6], [7, 8], [9]]);
+		deepStrictEqual(fetch.requests, ['/generated.wav']);
+		strictEqual(sounds.blob.type, 'audio/wav');
+		strictEqual(sounds.blob.url, null);
+		strictEqual(sounds.decoded.audioBuffer, audioBuffer);
+		
+		// The original bytes are copied, so decoding can't detach them:
+		strictEqual(bytes.byteLength, 3);
+		
+		const voice = await controller.playSound('bytes');
+		ok(voice);
+	});
+	
+	it('should share decoded buffers between samples with the same URL', async function () {
+		const fetch = serveAudio();
+		const requests = fetch.requests;
+		
+		const audioContext = new MockAudioContext();
+		const first = new Library.SampleSound('/shared.mp3', 0.8, { fetch });
+		const second = new Library.SampleSound('/shared.mp3', 0.5, { fetch });
+		
+		const [a, b] = await Promise.all([first.load(audioContext), second.load(audioContext)]);
+		
+		deepStrictEqual(requests, ['/shared.mp3']);
+		strictEqual(a, b);
+		strictEqual(second.audioBuffer, a);
+		
+		const cache = BufferCache.for(audioContext);
+		ok(cache.has('/shared.mp3'));
+		strictEqual(cache.bytes, BufferCache.sizeOf(a));
+		
+		// Caches are scoped to their AudioContext:
+		await new Library.SampleSound('/shared.mp3', 0.8, { fetch }).load(new MockAudioContext());
+		strictEqual(requests.length, 2);
+		
+		// Evicting releases the buffer from every sound, which reload it on demand:
+		ok(cache.evict('/shared.mp3'));
+		strictEqual(first.audioBuffer, null);
+		strictEqual(second.audioBuffer, null);
+		strictEqual(cache.bytes, 0);
+		
+		await first.load(audioContext);
+		strictEqual(requests.length, 3);
+	});
+	
+	it('should evict least recently used buffers beyond the memory budget', async function () {
+		const audioContext = new MockAudioContext();
+		const cache = BufferCache.for(audioContext);
+		const buffer = () => new MockAudioBuffer(2, 1000, 44100);
+		
+		strictEqual(BufferCache.sizeOf(buffer()), 8000);
+		cache.budget = 16000;
+		
+		await cache.load('/a.mp3', buffer);
+		await cache.load('/b.mp3', buffer);
+		
+		// Using a buffer marks it as recently used:
+		cache.get('/a.mp3');
+		
+		const evicted = [];
+		await cache.load('/c.mp3', buffer, (audioBuffer) => evicted.push(audioBuffer));
+		
+		ok(cache.has('/a.mp3'));
+		ok(!cache.has('/b.mp3'));
+		ok(cache.has('/c.mp3'));
+		strictEqual(cache.bytes, 16000);
+		
+		cache.budget = 8000;
+		ok(!cache.has('/a.mp3'));
+		strictEqual(evicted.length, 0);
+		
+		cache.clear();
+		strictEqual(evicted.length, 1);
+		strictEqual(cache.size, 0);
+		
+		const controller = new Controller(globalThis, { cacheBudget: 1024 * 1024 });
+		await controller.acquireOutput();
+		strictEqual(controller.bufferCache.budget, 1024 * 1024);
+		controller.bufferCache.budget = null;
+	});
+	
+	it('should overlap playbacks of a polyphonic sample', async function () {
+		const controller = new Controller(globalThis, { fetch: serveAudio() });
+		
+		// Overlapping playback is opt-in:
+		ok(!new Library.SampleSound('/shot.mp3').polyphonic);
+		
+		const sample = controller.addSound('shot', new Library.SampleSound('/shot.mp3', 0.8, { polyphonic: true }));
+		await sample.load((await controller.acquireOutput()).audioContext);
+		
+		const first = await controller.playSound('shot');
+		const second = await controller.playSound('shot');
+		while (sample.playbacks.size < 2) await new Promise(resolve => setTimeout(resolve, 0));
+		
+		const sources = [first, second].map(voice => sample.playbacks.get(voice).source);
+		ok(sources[0] !== sources[1]);
+		ok(sample.playbacks.get(first).gainNode !== sample.playbacks.get(second).gainNode);
+		deepStrictEqual(first.sources, [sources[0]]);
+		
+		// Stopping one voice leaves the other playing:
+		sample.stop(first);
+		await first.ended;
+		ok(!sample.playbacks.has(first));
+		ok(second.playing);
+		ok(sample.isPlaying);
+		
+		sample.stop();
+		await second.ended;
+		ok(!sample.isPlaying);
+		strictEqual(sample.playbacks.size, 0);
+	});
+	
+	it('should keep background music single-instance by default', async function () {
+		const controller = new Controller(globalThis, { fetch: serveAudio() });
+		const music = controller.addSound('music', new Library.BackgroundMusicSound('/music.mp3'));
+		ok(!music.polyphonic);
+		
+		const first = await controller.playSound('music');
+		while (!music.isPlaying) await new Promise(resolve => setTimeout(resolve, 0));
+		
+		const second = await controller.playSound('music');
+		await second.ended;
+		
+		strictEqual(music.playbacks.size, 1);
+		ok(music.playbacks.has(first));
+		
+		music.stop();
+		await first.ended;
+	});
+	
+	it('should play segments of an audio sprite from one decoded file', async function () {
+		const fetch = serveAudio();
+		const controller = new Controller(globalThis, { fetch });
+		const sprite = new Library.AudioSprite('/sfx.mp3', {
+			jump: [0, 0.5],
+			coin: [0.5, 0.25],
+			engine: [1.0, 2.0, true],
+		});
+		
+		const sounds = sprite.register(controller, { bus: 'sfx' });
+		deepStrictEqual(Object.keys(sounds), ['jump', 'coin', 'engine']);
+		ok(sounds.coin instanceof Library.SpriteSound);
+		
+		const coin = await controller.playSound('coin');
+		const engine = await controller.playSound('engine');
+		while (engine.sources.length === 0) await new Promise(resolve => setTimeout(resolve, 0));
+		
+		deepStrictEqual(fetch.requests, ['/sfx.mp3']);
+		
+		const [coinSource] = coin.sources;
+		strictEqual(coinSource.buffer, sprite.audioBuffer);
+		strictEqual(coinSource.offset, 0.5);
+		strictEqual(coinSource.duration, 0.25);
+		ok(!coinSource.loop);
+		
+		const [engineSource] = engine.sources;
+		strictEqual(engineSource.offset, 1.0);
+		strictEqual(engineSource.duration, undefined);
+		ok(engineSource.loop);
+		strictEqual(engineSource.loopStart, 1.0);
+		strictEqual(engineSource.loopEnd, 3.0);
+		
+		controller.stopAllSounds();
+		await Promise.all([coin.ended, engine.ended]);
+	});
+	
+	it('should report each audio sprite load once', async function () {
+		const controller = new Controller(globalThis, { fetch: serveAudio({ bytes: 16, respond: (url) => url === '/missing.mp3' ? NOT_FOUND : null }) });
+		new Library.AudioSprite('/sfx.mp3', { jump: [0, 0.5], coin: [0.5, 0.25], engine: [1.0, 2.0, true] }).register(controller);
+		new Library.AudioSprite('/missing.mp3', { a: [0, 0.5], b: [0.5, 0.5] }).register(controller);
+		
+		const loaded = [];
+		const failed = [];
+		const progress = [];
+		controller.addEventListener('sample:loaded', (event) => loaded.push(event.detail.url));
+		controller.addEventListener('load:error', (event) => failed.push(event.detail.url));
+		controller.addEventListener('preload:progress', (event) => progress.push(event.detail.bytes));
+		
+		await controller.preload(['jump', 'coin', 'engine', 'a', 'b']);
+		
+		deepStrictEqual(loaded, ['/sfx.mp3']);
+		deepStrictEqual(failed, ['/missing.mp3']);
+		strictEqual(controller.getSound('coin').bytes, 16);
+		
+		// The sprite's bytes are counted once, not once per segment:
+		strictEqual(progress.at(-1), 16);
+	});
+	
+	it('should reject invalid sprite regions', function () {
+		throws(() => new Library.AudioSprite('/sfx.mp3', { bad: [0, 0] }), /Sprite 'bad' must be \[offset, duration, loop\?\]/);
+		throws(() => new Library.AudioSprite('/sfx.mp3', { bad: 'nope' }), /Sprite 'bad'/);
+	});
+	
+	it('should pause, resume and seek background music', async function () {
+		const fetch = serveAudio();
+		
+		const audioContext = new MockAudioContext();
+		const output = new Output(audioContext);
+		const music = new Library.BackgroundMusicSound('/music.mp3', { loopStart: 0.25, loopEnd: 0.75, fetch });
+		await music.load(audioContext);
+		
+		const voice = music.play(output);
+		await new Promise(resolve => setTimeout(resolve, 0));
+		
+		audioContext.currentTime = 0.5;
+		strictEqual(music.currentTime, 0.5);
+		
+		// Past loopEnd the position wraps back into the loop region:
+		audioContext.currentTime = 1.0;
+		strictEqual(music.currentTime, 0.5);
+		
+		// Position tracking follows rate changes:
+		voice.setPlaybackRate(2);
+		audioContext.currentTime = 1.1;
+		strictEqual(Math.round(music.currentTime * 1000) / 1000, 0.7);
+		
+		ok(music.pause());
+		ok(music.paused);
+		strictEqual(music.source, null);
+		audioContext.currentTime = 5;
+		strictEqual(Math.round(music.currentTime * 1000) / 1000, 0.7);
+		
+		// The voice stays alive while paused:
+		await new Promise(resolve => setTimeout(resolve, 0));
+		ok(voice.playing);
+		
+		ok(music.resume());
+		strictEqual(Math.round(music.source.offset * 1000) / 1000, 0.7);
+		strictEqual(music.source.playbackRate.value, 2);
+		deepStrictEqual(voice.sources, [music.source]);
+		
+		audioContext.currentTime = 5.05;
+		strictEqual(Math.round(music.currentTime * 1000) / 1000, 0.3);
+		
+		music.seek(0.1);
+		strictEqual(music.source.offset, 0.1);
+		strictEqual(music.currentTime, 0.1);
+		
+		music.stop();
+		await voice.ended;
+		strictEqual(music.currentTime, 0);
+		ok(!music.resume());
+	});
+	
+	it('should crossfade between music tracks with equal-power curves', async function () {
+		const controller = new Controller(globalThis, { fetch: serveAudio() });
+		const overworld = controller.addSound('overworld', new Library.BackgroundMusicSound('/overworld.mp3'), { bus: 'music' });
+		const battle = controller.addSound('battle', new Library.BackgroundMusicSound('/battle.mp3'), { bus: 'music' });
+		await controller.preload();
+		
+		await controller.playSound('overworld');
+		const overworldGain = overworld.gainNode;
+		
+		const voice = await controller.crossfade('overworld', 'battle', { duration: 0.01 });
+		ok(voice instanceof Voice);
+		
+		const [, fadeIn, start, duration] = battle.gainNode.gain.events.at(-1);
+		const [, fadeOut] = overworldGain.gain.events.at(-1);
+		strictEqual(fadeIn[0], 0);
+		strictEqual(Math.round(fadeIn.at(-1) * 1000) / 1000, 0.8);
+		strictEqual(Math.round(fadeOut[0] * 1000) / 1000, 0.8);
+		strictEqual(fadeOut.at(-1), 0);
+		strictEqual(duration, 0.01);
+		strictEqual(start, voice.startTime);
+		
+		// Equal power: the combined power stays constant throughout the fade:
+		for (let i = 0; i < fadeIn.length; i++) {
+			strictEqual(Math.round((fadeIn[i] ** 2 + fadeOut[i] ** 2) * 1000) / 1000, 0.64);
+		}
+		
+		// Retargeting mid-fade brings the overworld theme back from its current level instead of stopping it:
+		const started = [];
+		controller.addEventListener('sound:start', (event) => started.push(event.detail.name));
+		
+		const overworldVoice = overworld.voice;
+		const retargeted = await controller.crossfade('battle', 'overworld', { duration: 0.01, curve: 'linear' });
+		strictEqual(retargeted, overworldVoice);
+		ok(retargeted.playing);
+		deepStrictEqual(started, []);
+		strictEqual(overworld.gainNode, overworldGain);
+		deepStrictEqual(overworldGain.gain.events.at(-1)[0], 'linearRampToValueAtTime');
+		
+		await new Promise(resolve => setTimeout(resolve, 30));
+		ok(overworld.isPlaying);
+		ok(!battle.isPlaying);
+		
+		controller.stopAllSounds();
+	});
+	
+	it('should retarget a crossfade from inside its equal-power curves', async function () {
+		const controller = new Controller(globalThis, { fetch: serveAudio() });
+		const overworld = controller.addSound('overworld', new Library.BackgroundMusicSound('/overworld.mp3'), { bus: 'music' });
+		const battle = controller.addSound('battle', new Library.BackgroundMusicSound('/battle.mp3'), { bus: 'music' });
+		await controller.preload();
+		
+		const output = await controller.acquireOutput();
+		await controller.playSound('overworld');
+		await controller.crossfade('overworld', 'battle', { duration: 0.04 });
+		const [, fadeOut] = overworld.gainNode.gain.events.at(-1);
+		
+		// Halfway through, both curves are still running:
+		output.audioContext.currentTime = 0.02;
+		const voice = await controller.crossfade('battle', 'overworld', { duration: 0.04 });
+		ok(voice.playing);
+		
+		const [type, fadeIn, start] = overworld.gainNode.gain.events.at(-1);
+		strictEqual(type, 'setValueCurveAtTime');
+		strictEqual(start, 0.02);
+		
+		// The overworld theme comes back from the level it had faded to, not from silence:
+		strictEqual(fadeIn[0], fadeOut[31]);
+		ok(fadeIn[0] > 0 && fadeIn[0] < 0.8);
+		strictEqual(battle.gainNode.gain.events.at(-1)[0], 'setValueCurveAtTime');
+		
+		controller.stopAllSounds();
+	});
+	
+	it('should start a crossfade at the next bar or loop boundary', async function () {
+		const controller = new Controller(globalThis, { fetch: serveAudio() });
+		controller.addSound('a', new Library.BackgroundMusicSound('/a.mp3', { loopStart: 0.2, loopEnd: 0.8 }));
+		controller.addSound('b', new Library.BackgroundMusicSound('/b.mp3'));
+		controller.addSound('c', new Library.BackgroundMusicSound('/c.mp3'));
+		await controller.preload();
+		
+		const output = await controller.acquireOutput();
+		await controller.playSound('a');
+		output.audioContext.currentTime = 0.5;
+		
+		// 0.3s until loopEnd:
+		const b = await controller.crossfade('a', 'b', { duration: 0, sync: 'loop' });
+		strictEqual(Math.round(b.startTime * 1000) / 1000, 0.8);
+		
+		// At 240bpm a bar is one second, and b has been playing for 0.25s:
+		output.audioContext.currentTime = 1.05;
+		const c = await controller.crossfade('b', 'c', { duration: 0, sync: 'bar', bpm: 240 });
+		strictEqual(Math.round(c.startTime * 1000) / 1000, 1.8);
+		
+		controller.dispose();
+	});
+	
+	it('should duck the music bus while trigger sounds play', async function () {
+		const controller = new Controller(globalThis, {
+			ducking: [{ sounds: ['death'], buses: ['voice'], target: 'music', amount: 0.75, attack: 0.1, release: 0.5 }]
+		});
+		
+		controller.addSound('death', new Library.DeathSound());
+		controller.addSound('line', new Library.BlipSound(), { bus: 'voice' });
+		controller.addSound('coin', new Library.CoinSound(), { bus: 'sfx' });
+		
+		const output = await controller.acquireOutput();
+		const music = output.getBus('music');
+		await controller.setBusVolume('music', 0.8);
+		
+		// Sounds that aren't triggers leave the music alone:
+		const coin = await controller.playSound('coin');
+		strictEqual(music.duckLevel, 1.0);
+		
+		const death = await controller.playSound('death');
+		strictEqual(music.duckLevel, 0.25);
+		deepStrictEqual(music.gainNode.gain.events.at(-1), ['linearRampToValueAtTime', 0.2, 0.1]);
+		
+		// Overlapping triggers keep the music ducked until the last one ends:
+		const line = await controller.playSound('line');
+		death.stop();
+		await death.ended;
+		strictEqual(music.duckLevel, 0.25);
+		
+		line.stop();
+		await line.ended;
+		strictEqual(music.duckLevel, 1.0);
+		deepStrictEqual(music.gainNode.gain.events.at(-1), ['linearRampToValueAtTime', 0.8, 0.5]);
+		
+		// Volume changes while ducked keep the dip:
+		const ducked = await controller.playSound('death');
+		await controller.setBusVolume('music', 0.4);
+		strictEqual(music.gainNode.gain.value, 0.1);
+		
+		ducked.stop();
+		coin.stop();
+		await Promise.all([ducked.ended, coin.ended]);
+	});
+	
+	it('should duck from a sidechain compressor fed by the trigger bus', async function () {
+		throws(() => new Ducking({ target: 'music' }), /requires trigger sounds or buses/);
+		throws(() => new Ducking({ sounds: ['death'], target: 'music', sidechain: true }), /requires trigger buses/);
+		
+		const controller = new Controller();
+		const ducking = controller.addDucking({ buses: ['voice'], target: 'music', amount: 0.5, sidechain: { threshold: -30 } });
+		
+		const output = await controller.acquireOutput();
+		const compressor = output.audioContext.createdNodes.find(node => node instanceof MockDynamicsCompressor);
+		strictEqual(compressor.threshold.value, -30);
+		ok(output.getBus('voice').input.connections.includes(compressor));
+		
+		// 6dB of gain reduction halves the music level, but never beyond the amount:
+		compressor.reduction = -6;
+		await new Promise(resolve => setTimeout(resolve, 40));
+		strictEqual(Math.round(output.getBus('music').duckLevel * 100) / 100, 0.5);
+		
+		compressor.reduction = -3;
+		await new Promise(resolve => setTimeout(resolve, 40));
+		strictEqual(Math.round(output.getBus('music').duckLevel * 100) / 100, 0.71);
+		
+		ok(controller.removeDucking(ducking));
+		ok(!output.getBus('voice').input.connections.includes(compressor));
+		strictEqual(output.getBus('music').duckLevel, 1.0);
+		
+		controller.dispose();
+	});
+	
+	it('should play a playlist gaplessly with per-track loop points', async function () {
+		const fetch = serveAudio();
+		
+		const audioContext = new MockAudioContext();
+		const output = new Output(audioContext);
+		const playlist = new Library.Playlist([
+			'/a.mp3',
+			{ url: '/b.mp3', loopStart: 0.25, loopEnd: 0.75, loops: 2 },
+			'/c.mp3',
+		], { repeat: 'none', fetch });
+		
+		const changes = [];
+		playlist.addEventListener('trackchange', (event) => changes.push(event.detail.url));
+		
+		await playlist.load(audioContext);
+		const voice = playlist.play(output);
+		await new Promise(resolve => setTimeout(resolve, 0));
+		
+		// The next track is scheduled to start exactly when the current one ends:
+		const a = playlist.current, b = playlist.upcoming;
+		strictEqual(a.source.startTime, 0);
+		strictEqual(a.endTime, 1);
+		strictEqual(b.source.startTime, 1);
+		ok(b.source.loop);
+		strictEqual(b.source.loopStart, 0.25);
+		strictEqual(b.source.loopEnd, 0.75);
+		
+		// Intro, then the loop region twice:
+		strictEqual(b.endTime, 2.25);
+		strictEqual(b.source.stopTime, 2.25);
+		
+		a.source.stop();
+		await new Promise(resolve => setTimeout(resolve, 0));
+		strictEqual(playlist.current, b);
+		strictEqual(playlist.upcoming.source.startTime, 2.25);
+		ok(voice.playing);
+		
+		// Skipping ahead cancels the scheduled tracks:
+		audioContext.currentTime = 1.5;
+		playlist.next();
+		await new Promise(resolve => setTimeout(resolve, 0));
+		strictEqual(playlist.track.url, '/c.mp3');
+		strictEqual(playlist.current.source.startTime, 1.5);
+		strictEqual(playlist.upcoming, null);
+		
+		deepStrictEqual(changes, ['/a.mp3', '/b.mp3', '/c.mp3']);
+		
+		// Without repeat, the voice ends after the last track:
+		playlist.current.source.stop();
+		await voice.ended;
+		ok(!voice.stopped);
+		ok(!playlist.isPlaying);
+	});
+	
+	it('should shuffle and repeat playlists', async function () {
+		const fetch = serveAudio();
+		
+		const audioContext = new MockAudioContext();
+		const playlist = new Library.Playlist(['/a.mp3', '/b.mp3', '/c.mp3', '/d.mp3'], { fetch });
+		
+		playlist.setShuffle(true);
+		deepStrictEqual([...playlist.order].sort(), [0, 1, 2, 3]);
+		
+		// Shuffling keeps the current track:
+		playlist.previous();
+		const index = playlist.index;
+		playlist.setShuffle(false);
+		strictEqual(playlist.index, index);
+		strictEqual(playlist.track.url, ['/a.mp3', '/b.mp3', '/c.mp3', '/d.mp3'][index]);
+		
+		// Repeating a single track schedules it again after itself:
+		playlist.setRepeat('one');
+		const voice = playlist.play(new Output(audioContext));
+		await new Promise(resolve => setTimeout(resolve, 0));
+		strictEqual(playlist.upcoming.position, playlist.current.position);
+		
+		playlist.stop();
+		await voice.ended;
+		ok(voice.stopped);
+		
+		// Skipping past the last track wraps around to the first:
+		playlist.setRepeat('all');
+		playlist.position = 3;
+		playlist.next();
+		strictEqual(playlist.position, 0);
+	});
+	
+	it('should replay a playlist that was stopped while its first track was loading', async function () {
+		let release = null;
+		const loading = new Promise(resolve => release = resolve);
+		
+		const controller = new Controller(globalThis, { fetch: serveAudio({ respond: () => loading }) });
+		const playlist = controller.addSound('ambient', new Library.Playlist(['/a.mp3', '/b.mp3']));
+		
+		const first = await controller.playSound('ambient');
+		playlist.stop();
+		await first.ended;
+		
+		const second = await controller.playSound('ambient');
+		release();
+		await new Promise(resolve => setTimeout(resolve, 0));
+		
+		// The first playback's scheduling steps leave the second one alone:
+		ok(second.playing);
+		ok(playlist.isPlaying);
+		ok(playlist.gainNode);
+		ok(playlist.current.source.started);
+		strictEqual(playlist.current.source.connections[0], playlist.gainNode);
+		
+		controller.stopAllSounds();
+		await second.ended;
+	});
+	
+	it('should end a strict playlist with the error of a track that fails to load', async function () {
+		const fetch = serveAudio({ respond: (url) => url === '/b.mp3' ? NOT_FOUND : null });
+		
+		const controller = new Controller(globalThis, { loading: { strict: true, fetch } });
+		const playlist = controller.addSound('ambient', new Library.Playlist(['/a.mp3', '/c.mp3', '/b.mp3']));
+		
+		const errored = new Promise(resolve => controller.addEventListener('sound:error', resolve, { once: true }));
+		const voice = await controller.playSound('ambient');
+		await new Promise(resolve => setTimeout(resolve, 0));
+		ok(voice.playing);
+		
+		// Skipping to the track that can't be loaded fails the playback instead of an unhandled rejection:
+		playlist.next();
+		playlist.next();
+		
+		const event = await errored;
+		strictEqual(event.detail.voice, voice);
+		strictEqual(event.detail.error.status, 404);
+		ok(!voice.playing);
+		ok(!playlist.isPlaying);
+	});
+	
+	describe('streaming music', function () {
+		class MockMediaElement extends EventTarget {
+			constructor() {
+				super();
+				this.paused = true;
+				this.currentTime = 0;
+				this.duration = 300;
+				this.loop = false;
+				this.playbackRate = 1.0;
+			}
+			
+			async play() {
+				this.paused = false;
+			}
+			
+			pause() {
+				this.paused = true;
+			}
+		}
+		
+		class TestStreamingMusicSound extends Library.StreamingMusicSound {
+			createElement() {
+				return new MockMediaElement();
+			}
+		}
+		
+		it('should create media elements and probe codecs in the controller window', async function () {
+			const window = new JSDOM('<!DOCTYPE html>').window;
+			window.AudioContext = MockAudioContext;
+			window.HTMLMediaElement.prototype.canPlayType = (type) => type === 'audio/ogg' ? 'probably' : '';
+			
+			// Nothing may fall back to the global document:
+			const document = globalThis.document;
+			delete globalThis.document;
+			
+			try {
+				const sources = [{ url: '/theme.mp3', type: 'audio/mpeg' }, { url: '/theme.ogg', type: 'audio/ogg' }];
+				
+				const controller = new Controller(window);
+				const music = controller.addSound('music', new Library.StreamingMusicSound(sources));
+				const sample = controller.addSound('sample', new Library.SampleSound(sources));
+				
+				const output = await controller.acquireOutput();
+				music.connect(output.audioContext);
+				
+				strictEqual(music.element.ownerDocument, window.document);
+				strictEqual(music.url, '/theme.ogg');
+				strictEqual(sample.canPlayType('audio/ogg'), 'probably');
+				
+				controller.dispose();
+			} finally {
+				globalThis.document = document;
+			}
+		});
+		
+		it('should stream through a media element source into the voice', async function () {
+			const controller = new Controller();
+			const music = controller.addSound('music', new TestStreamingMusicSound('/long.mp3', { volume: 0.6 }), { bus: 'music' });
+			
+			const voice = await controller.playSound('music', { pitch: 1.25 });
+			await new Promise(resolve => setTimeout(resolve, 0));
+			
+			ok(!music.element.paused);
+			ok(music.element.loop);
+			strictEqual(music.element.playbackRate, 1.25);
+			strictEqual(music.source.mediaElement, music.element);
+			strictEqual(music.gainNode.gain.value, 0.6);
+			ok(music.source.connections.includes(music.gainNode));
+			ok(music.gainNode.connections.includes(voice.input));
+			
+			// Playing again while streaming is ignored:
+			const second = await controller.playSound('music');
+			await second.ended;
+			
+			music.setVolume(0.3);
+			strictEqual(music.gainNode.gain.value, 0.3);
+			
+			controller.stopSound('music');
+			await voice.ended;
+			ok(music.element.paused);
+			strictEqual(music.element.currentTime, 0);
+			ok(!music.isPlaying);
+			
+			// The element is reused for the next playback:
+			const element = music.element;
+			const again = await controller.playSound('music');
+			strictEqual(music.element, element);
+			
+			again.stop();
+			await again.ended;
+		});
+		
+		it('should apply loop points and end non-looping tracks', async function () {
+			const output = new Output(new MockAudioContext());
+			
+			const looped = new TestStreamingMusicSound('/long.mp3', { loopStart: 10, loopEnd: 60 });
+			const voice = looped.play(output);
+			await new Promise(resolve => setTimeout(resolve, 0));
+			
+			ok(!looped.element.loop);
+			looped.element.currentTime = 60.1;
+			looped.element.dispatchEvent(new Event('timeupdate'));
+			strictEqual(looped.element.currentTime, 10);
+			
+			looped.stop();
+			await voice.ended;
+			
+			const once = new TestStreamingMusicSound('/long.mp3', { loop: false });
+			const onceVoice = once.play(output);
+			await new Promise(resolve => setTimeout(resolve, 0));
+			
+			once.element.dispatchEvent(new Event('ended'));
+			await onceVoice.ended;
+			ok(!onceVoice.stopped);
+		});
+	});
+	
+	it('should pick the best playable source and fall back if decoding fails', async function () {
+		const fetch = serveAudio({ respond: (url) => url === '/theme.mp3' ? { ok: true, arrayBuffer: async () => new ArrayBuffer(1) } : null });
+		
+		// A browser that can't play Ogg/Opus, and claims it can play MP3 but fails to decode it:
+		class SafariSampleSound extends Library.SampleSound {
+			canPlayType(type) {
+				return { 'audio/mpeg': 'probably', 'audio/mp4': 'maybe' }[type] ?? '';
+			}
+		}
+		
+		class SafariAudioContext extends MockAudioContext {
+			async decodeAudioData(arrayBuffer) {
+				if (arrayBuffer.byteLength === 1) throw new Error('Unable to decode audio data');
+				return super.decodeAudioData(arrayBuffer);
+			}
+		}
+		
+		const audioContext = new SafariAudioContext();
+		
+		const sources = [
+			{ url: '/theme.ogg', type: 'audio/ogg; codecs=opus' },
+			{ url: '/theme.m4a', type: 'audio/mp4' },
+			{ url: '/theme.mp3', type: 'audio/mpeg' },
+		];
+		
+		const sample = new SafariSampleSound(sources, 0.8, { fetch });
+		strictEqual(sample.url, '/theme.ogg');
+		
+		const loaded = [];
+		sample.addEventListener('loaded', (event) => loaded.push(event.detail));
+		
+		await sample.load(audioContext);
+		
+		deepStrictEqual(fetch.requests, ['/theme.mp3', '/theme.m4a']);
+		strictEqual(sample.url, '/theme.m4a');
+		strictEqual(loaded[0].url, '/theme.m4a');
+		strictEqual(loaded[0].type, 'audio/mp4');
+		
+		// Sounds sharing the cached buffer report the source it was loaded from:
+		const music = new Library.BackgroundMusicSound(sources, { fetch });
+		await music.load(audioContext);
+		strictEqual(fetch.requests.length, 2);
+		strictEqual(music.url, '/theme.m4a');
+	});
+	
+	it('should accept source lists in manifests', function () {
+		const controller = new Controller();
+		
+		const {theme} = controller.loadManifest({
+			sounds: {
+				theme: { type: 'BackgroundMusicSound', url: ['/theme.ogg', { url: '/theme.m4a', type: 'audio/mp4' }] },
+			}
+		});
+		
+		deepStrictEqual(theme.sources, [{ url: '/theme.ogg', type: undefined }, { url: '/theme.m4a', type: 'audio/mp4' }]);
+		throws(() => controller.loadManifest({ sounds: { bad: { url: ['/ok.mp3', { type: 'audio/mp4' }] } } }), /sounds.bad.url\[1\] must be a URL or \{ url, type \}/);
+	});
+	
+	it('should persist and restore audio preferences', async function () {
+		const storage = new MemoryStorage();
+		const controller = new Controller(globalThis, { persist: { key: 'game', storage } });
+		
+		await controller.setVolume(0.6);
+		await controller.setBusVolume('music', 0.3);
+		await controller.setBusMuted('sfx', true);
+		
+		const saved = JSON.parse(storage.getItem('live-audio:game'));
+		strictEqual(saved.volume, 0.6);
+		deepStrictEqual(saved.buses.music, { volume: 0.3, muted: false });
+		
+		// A new controller (e.g. after a reload) restores the saved levels:
+		const restored = new Controller(globalThis, { persist: { key: 'game', storage } });
+		strictEqual(restored.volume, 0.6);
+		strictEqual(restored.getBusVolume('music'), 0.3);
+		ok(restored.isBusMuted('sfx'));
+		
+		const output = await restored.acquireOutput();
+		strictEqual(output.gainNode.gain.value, 0.6);
+		strictEqual(output.getBus('music').gainNode.gain.value, 0.3);
+		
+		// Other apps are keyed separately:
+		const other = new Controller(globalThis, { persist: { key: 'other', storage } });
+		strictEqual(other.volume, 1.0);
+	});
+	
+	it('should set, apply and persist per-sound levels', async function () {
+		const storage = new MemoryStorage();
+		const controller = new Controller(globalThis, { persist: { key: 'game', storage } });
+		controller.addSound('howl', new Library.HowlSound(), { volume: 0.5 });
+		strictEqual(controller.getSoundVolume('howl'), 0.5);
+		
+		const voice = await controller.playSound('howl', { volume: 0.8 });
+		strictEqual(voice.volume, 0.4);
+		
+		// Playing voices follow the new level, keeping their per-play volume:
+		controller.setSoundVolume('howl', 0.25);
+		strictEqual(voice.volume, 0.2);
+		deepStrictEqual(JSON.parse(storage.getItem('live-audio:game')).sounds, { howl: 0.25 });
+		
+		voice.stop();
+		await voice.ended;
+		
+		// Restored levels apply to sounds added afterwards, overriding their addSound volume:
+		const restored = new Controller(globalThis, { persist: { key: 'game', storage } });
+		restored.addSound('howl', new Library.HowlSound(), { volume: 0.5 });
+		strictEqual(restored.getSoundVolume('howl'), 0.25);
+		
+		const next = await restored.playSound('howl');
+		strictEqual(next.volume, 0.25);
+		
+		next.stop();
+		await next.ended;
+	});
+	
+	it('should use window.localStorage for persistence by default', function () {
+		const storage = new MemoryStorage();
+		storage.setItem('live-audio:game', 'not json');
+		
+		const window = { AudioContext: MockAudioContext, localStorage: storage };
+		const controller = new Controller(window, { persist: 'game' });
+		
+		// Unreadable preferences are ignored:
+		strictEqual(controller.volume, 1.0);
+		strictEqual(controller.preferences.storage, storage);
+	});
+	
+	it('should mute and unmute without losing the volume', async function () {
+		const controller = new Controller();
+		await controller.setVolume(0.7);
+		
+		await controller.mute();
+		ok(controller.muted);
+		strictEqual(controller.volume, 0.7);
+		
+		const output = await controller.acquireOutput();
+		strictEqual(output.gainNode.gain.value, 0);
+		
+		// Muting ramps the gain instead of jumping:
+		deepStrictEqual(output.gainNode.gain.events.at(-1), ['linearRampToValueAtTime', 0, 0.05]);
+		
+		strictEqual(await controller.toggleMute(), false);
+		strictEqual(output.gainNode.gain.value, 0.7);
+		
+		await controller.setMuted(true);
+		await controller.unmute();
+		ok(!controller.muted);
+		strictEqual(output.gainNode.gain.value, 0.7);
+	});
+	
+	it('should skip playback while muted but still acquire an output', async function () {
+		const storage = new MemoryStorage();
+		storage.setItem('live-audio:game', JSON.stringify({ volume: 0.5, muted: true }));
+		
+		let createdOutput = null;
+		const controller = new Controller(globalThis, {
+			persist: { key: 'game', storage },
+			onOutputCreated: (controller, output) => createdOutput = output
+		});
+		controller.addSound('coin', new Library.CoinSound());
+		ok(controller.muted);
+		
+		strictEqual(await controller.playSound('coin'), undefined);
+		ok(createdOutput instanceof Output);
+	});
+	
+	it('should play silently while muted with the silent policy', async function () {
+		const controller = new Controller(globalThis, { mutedPlayback: 'silent' });
+		controller.addSound('coin', new Library.CoinSound());
+		
+		await controller.mute();
+		
+		const voice = await controller.playSound('coin');
+		ok(voice instanceof Voice);
+		strictEqual((await controller.acquireOutput()).gainNode.gain.value, 0);
+		
+		voice.stop();
+		await voice.ended;
+	});
+	
+	it('should persist the mute state', async function () {
+		const storage = new MemoryStorage();
+		const controller = new Controller(globalThis, { persist: { key: 'game', storage } });
+		await controller.mute();
+		
+		const restored = new Controller(globalThis, { persist: { key: 'game', storage } });
+		ok(restored.muted);
+	});
+	
+	it('should register sounds from a manifest', async function () {
+		const controller = new Controller();
+		
+		const sounds = controller.loadManifest(JSON.stringify({
+			sounds: {
+				coin: { type: 'CoinSound', bus: 'sfx', cooldown: 0.05, volume: 0.5 },
+				blip: 'BlipSound',
+				shot: { url: '/shot.mp3', volume: 0.4, maxVoices: 4 },
+				music: { type: 'BackgroundMusicSound', url: '/music.mp3', bus: 'music', loopStart: 1.5, loopEnd: 30 },
+				stream: { type: 'StreamingMusicSound', url: '/long.mp3', loop: false },
+			}
+		}));
+		
+		deepStrictEqual(controller.listSounds(), ['coin', 'blip', 'shot', 'music', 'stream']);
+		ok(sounds.coin instanceof Library.CoinSound);
+		ok(sounds.blip instanceof Library.BlipSound);
+		ok(sounds.shot instanceof Library.SampleSound);
+		strictEqual(sounds.shot.url, '/shot.mp3');
+		strictEqual(sounds.shot.volume, 0.4);
+		ok(sounds.music instanceof Library.BackgroundMusicSound);
+		deepStrictEqual(sounds.music.options, { loop: true, loopStart: 1.5, loopEnd: 30 });
+		ok(sounds.stream instanceof Library.StreamingMusicSound);
+		strictEqual(sounds.stream.options.loop, false);
+		
+		// Synthesized sounds take their manifest volume as a per-sound level:
+		const voice = await controller.playSound('coin', { volume: 0.5 });
+		strictEqual(voice.volume, 0.25);
+		
+		voice.stop();
+		await voice.ended;
+	});
+	
+	it('should report every problem in an invalid manifest', function () {
+		const controller = new Controller();
+		
+		throws(() => controller.loadManifest('{ not json'), ManifestError);
+		throws(() => controller.loadManifest({}), /manifest.sounds must be an object/);
+		
+		try {
+			controller.loadManifest({
+				sounds: {
+					coin: { type: 'CoinSound', loopStart: 1 },
+					music: { type: 'BackgroundMusicSound', loopStart: 10, loopEnd: 5 },
+					alien: { type: 'UFOSound' },
+					laser: { type: 'LaserSound', voulme: 0.5, maxVoices: 0 },
+				}
+			});
+			ok(false, 'Expected ManifestError');
+		} catch (error) {
+			ok(error instanceof ManifestError);
+			deepStrictEqual(error.errors, [
+				'sounds.coin.loopStart is only supported by BackgroundMusicSound, not CoinSound',
+				'sounds.music.url is required for BackgroundMusicSound',
+				'sounds.music.loopStart (10) must be before loopEnd (5)',
+				"sounds.alien.type 'UFOSound' is not a sound class in the library",
+				'sounds.laser.voulme is not a known option (expected one of: type, url, volume, bus, maxVoices, steal, cooldown, coalesce, loop, loopStart, loopEnd)',
+				'sounds.laser.maxVoices must be a positive integer, got 0',
+			]);
+		}
+		
+		// Nothing is registered from an invalid manifest:
+		strictEqual(controller.listSounds().length, 0);
+	});
+	
+	describe('remote commands', function () {
+		// A stand-in for the Live connection: the server sends JSON messages, errors are sent back.
+		class FakeTransport {
+			constructor(controller) {
+				this.sent = [];
+				this.remote = new Remote(controller, {
+					onError: (error, command) => this.sent.push({ error: error.message, id: command?.id })
+				});
+			}
+			
+			receive(message) {
+				return this.remote.handle(JSON.stringify(message));
+			}
+		}
+		
+		it('should apply commands to the controller', async function () {
+			const controller = new Controller();
+			const transport = new FakeTransport(controller);
+			
+			await transport.receive({ command: 'addSound', name: 'coin', entry: { type: 'CoinSound', bus: 'sfx' } });
+			ok(controller.getSound('coin') instanceof Library.CoinSound);
+			
+			const voice = await transport.receive({ command: 'play', name: 'coin', options: { volume: 0.5 } });
+			ok(voice instanceof Voice);
+			strictEqual(voice.volume, 0.5);
+			
+			await transport.receive({ command: 'setVolume', volume: 0.3 });
+			strictEqual(controller.volume, 0.3);
+			
+			await transport.receive({ command: 'setVolume', volume: 0.2, bus: 'sfx' });
+			strictEqual(controller.getBusVolume('sfx'), 0.2);
+			
+			await transport.receive({ command: 'stop', name: 'coin' });
+			await voice.ended;
+			ok(voice.stopped);
+			
+			await transport.receive({ command: 'stopAll' });
+			deepStrictEqual(transport.sent, []);
+		});
+		
+		it('should report invalid commands through the error callback', async function () {
+			const controller = new Controller();
+			const transport = new FakeTransport(controller);
+			
+			await transport.remote.handle('{ not json');
+			await transport.receive({ id: 1, command: 'explode' });
+			await transport.receive({ id: 2, command: 'play', name: 'missing' });
+			await transport.receive({ id: 3, command: 'setVolume', volume: -1 });
+			await transport.receive({ id: 4, command: 'addSound', name: 'alien', entry: { type: 'UFOSound' } });
+			
+			strictEqual(transport.sent.length, 5);
+			ok(transport.sent[0].error.startsWith('Command is not valid JSON'));
+			deepStrictEqual(transport.sent.slice(1), [
+				{ id: 1, error: "Unknown command 'explode' (expected one of: play, stop, stopAll, setVolume, addSound, crossfade)" },
+				{ id: 2, error: "Invalid 'play' command: sound 'missing' not found" },
+				{ id: 3, error: "Invalid 'setVolume' command: volume must be a number >= 0" },
+				{ id: 4, error: "Invalid sound manifest:\n  - sounds.alien.type 'UFOSound' is not a sound class in the library" },
+			]);
+			
+			strictEqual(controller.listSounds().length, 0);
+			
+			// Inherited object keys are not commands:
+			await transport.receive({ id: 5, command: 'constructor' });
+			await transport.receive({ id: 6, command: 'toString' });
+			
+			deepStrictEqual(transport.sent.slice(5).map(({error}) => error.split(' (')[0]), [
+				"Unknown command 'constructor'",
+				"Unknown command 'toString'",
+			]);
+		});
+		
+		it('should check commands against the controller API', async function () {
+			const errors = [];
+			const remote = new Remote({ getSound: () => null }, { onError: error => errors.push(error) });
+			
+			await remote.handle({ command: 'stopAll' });
+			
+			ok(errors[0] instanceof RemoteError);
+			strictEqual(errors[0].message, "Controller does not support 'stopAll' (missing stopAllSounds())");
+			deepStrictEqual(errors[0].command, { command: 'stopAll' });
+		});
+	});
 });